@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+*	A U T O T A G S
+*	Command line tagger: suggests tags for files, directories of files or stdin.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var fs = require( 'fs' );
+var path = require( 'path' );
+var AUTOTAGS = require( '../src/main/javascript/autotags-js-node.js' );
+
+var USAGE = [
+	'Usage: autotags [options] [file|directory ...]',
+	'',
+	'Suggests tags for each file given, every file in each directory given, and stdin wherever - is given (or if no files are given).',
+	'',
+	'Options:',
+	'  -n, --tags <n>                 Number of tags to suggest per text (default 12)',
+	'  -f, --format <format>          Output format: text, json or csv (default text)',
+	'  -s, --separator <separator>    Separator between tags in text output (default ", ")',
+	'      --compound-separator <s>   Separator within compound tags, e.g. _ for cool_gadget (default " ")',
+	'  -i, --input <format>           Input format: text, html, markdown or auto, from the file extension (default auto)',
+	'      --ignore-code              Ignore code blocks and inline code in html and markdown',
+	'  -l, --language <language>      Language of the texts, e.g. de (detected if not given)',
+	'  -w, --whitelist <file>         File of terms to boost, one per line',
+	'  -b, --blacklist <file>         File of additional stopwords, one per line',
+	'  -c, --constants <file>         File of tags that are always suggested, one per line',
+	'  -t, --taxonomy <file>          JSON file of a taxonomy (an array of nodes or a saved taxonomy), only its nodes are suggested',
+	'      --roll-up                  Suggest the ancestors of the taxonomy nodes matched as well',
+	'  -e, --extensions <list>        File extensions read from directories (default .txt,.text,.md,.markdown,.html,.htm)',
+	'  -r, --recursive                Read directories recursively',
+	'  -h, --help                     Show this help'
+].join( '\n' );
+
+/*
+*	Parses the command line arguments
+*/
+function parseArguments( args ) {
+	var options = {
+		'tags' : 12,
+		'format' : 'text',
+		'separator' : ', ',
+		'compoundSeparator' : AUTOTAGS.DEFAULT_COMPOUND_TAG_SEPARATOR,
+		'input' : 'auto',
+		'ignoreCode' : false,
+		'language' : null,
+		'whitelist' : null,
+		'blacklist' : null,
+		'constants' : null,
+		'taxonomy' : null,
+		'rollUp' : false,
+		'extensions' : [ '.txt', '.text', '.md', '.markdown', '.html', '.htm' ],
+		'recursive' : false,
+		'help' : false,
+		'paths' : []
+	};
+	
+	var optionNames = {
+		'-n' : 'tags', '--tags' : 'tags',
+		'-f' : 'format', '--format' : 'format',
+		'-s' : 'separator', '--separator' : 'separator',
+		'--compound-separator' : 'compoundSeparator',
+		'-i' : 'input', '--input' : 'input',
+		'-l' : 'language', '--language' : 'language',
+		'-w' : 'whitelist', '--whitelist' : 'whitelist',
+		'-b' : 'blacklist', '--blacklist' : 'blacklist',
+		'-c' : 'constants', '--constants' : 'constants',
+		'-t' : 'taxonomy', '--taxonomy' : 'taxonomy',
+		'-e' : 'extensions', '--extensions' : 'extensions'
+	};
+	
+	for ( var i = 0, length = args.length; i < length; i++ ) {
+		var arg = args[i];
+		var value = undefined;
+		
+		// Supporting --option=value as well as --option value
+		if ( arg.indexOf( '--' ) == 0 && arg.indexOf( '=' ) > 0 ) {
+			value = arg.substring( arg.indexOf( '=' ) + 1 );
+			arg = arg.substring( 0, arg.indexOf( '=' ) );
+		}
+		
+		if ( arg == '-h' || arg == '--help' ) {
+			options.help = true;
+		} else if ( arg == '-r' || arg == '--recursive' ) {
+			options.recursive = true;
+		} else if ( arg == '--ignore-code' ) {
+			options.ignoreCode = true;
+		} else if ( arg == '--roll-up' ) {
+			options.rollUp = true;
+		} else if ( optionNames.hasOwnProperty( arg ) ) {
+			if ( value == undefined ) {
+				if ( i + 1 >= length ) throw new Error( 'Missing value for ' + arg );
+				value = args[++i];
+			}
+			options[optionNames[arg]] = value;
+		} else if ( arg.charAt( 0 ) == '-' && arg != '-' ) {
+			throw new Error( 'Unknown option ' + arg );
+		} else {
+			options.paths.push( arg );
+		}
+	}
+	
+	options.tags = parseInt( options.tags, 10 );
+	if ( isNaN( options.tags ) || options.tags < 0 ) throw new Error( 'The number of tags must be 0 or more' );
+	
+	if ( options.format != 'text' && options.format != 'json' && options.format != 'csv' ) {
+		throw new Error( 'Unknown format ' + options.format + ', use text, json or csv' );
+	}
+	
+	if ( options.input != 'auto' && !AUTOTAGS.INPUT_FORMATS.hasOwnProperty( options.input ) ) {
+		throw new Error( 'Unknown input format ' + options.input + ', use text, html, markdown or auto' );
+	}
+	
+	if ( typeof options.extensions == 'string' ) {
+		options.extensions = options.extensions.split( ',' ).map( function( extension ) {
+			extension = extension.trim().toLowerCase();
+			return ( extension.charAt( 0 ) == '.' ) ? extension : '.' + extension;
+		});
+	}
+	
+	return options;
+}
+
+/*
+*	Reads a word list file, one term per line (empty lines and lines starting with # are ignored)
+*/
+function readWordList( file ) {
+	return fs.readFileSync( file, 'utf8' ).split( /\r?\n/ ).map( function( line ) {
+		return line.trim();
+	}).filter( function( line ) {
+		return line.length > 0 && line.charAt( 0 ) != '#';
+	});
+}
+
+/*
+*	Reads a taxonomy file, either an array of nodes (see AUTOTAGS.Taxonomy.prototype.addNode) or a saved taxonomy
+*/
+function readTaxonomy( file ) {
+	var json = JSON.parse( fs.readFileSync( file, 'utf8' ) );
+	
+	if ( Array.isArray( json ) ) {
+		var taxonomy = new AUTOTAGS.Taxonomy();
+		taxonomy.addNodes( json );
+		return taxonomy;
+	}
+	
+	return AUTOTAGS.Taxonomy.fromJSON( json );
+}
+
+function createTagger( options ) {
+	var parameters = { 'COMPOUND_TAG_SEPARATOR' : options.compoundSeparator, 'IGNORE_CODE' : options.ignoreCode };
+	
+	if ( options.language != null ) parameters.LANGUAGE = options.language;
+	if ( options.whitelist != null ) parameters.WHITELIST = AUTOTAGS._toLowerCase( readWordList( options.whitelist ) );
+	if ( options.constants != null ) parameters.TAG_CONSTANTS = readWordList( options.constants );
+	if ( options.taxonomy != null ) parameters.TAXONOMY = readTaxonomy( options.taxonomy );
+	if ( options.rollUp ) parameters.TAXONOMY_ROLL_UP = true;
+	
+	var tagger = new AUTOTAGS.createTagger( parameters );
+	
+	if ( options.blacklist != null ) tagger.addToBlackList( readWordList( options.blacklist ) );
+	
+	return tagger;
+}
+
+/*
+*	Lists the files to tag for a path, reading directories (recursively if specified)
+*/
+function listFiles( file, options, isTopLevel ) {
+	var stats = fs.statSync( file );
+	
+	if ( stats.isDirectory() ) {
+		if ( !isTopLevel && !options.recursive ) return [];
+		
+		var files = [];
+		var entries = fs.readdirSync( file ).sort();
+		
+		for ( var i = 0, length = entries.length; i < length; i++ ) {
+			var entry = path.join( file, entries[i] );
+			
+			if ( fs.statSync( entry ).isDirectory() ) {
+				files = files.concat( listFiles( entry, options, false ) );
+			} else if ( AUTOTAGS._arrayContains( options.extensions, path.extname( entry ).toLowerCase() ) ) {
+				files.push( entry );
+			}
+		}
+		
+		return files;
+	} else {
+		return [ file ];
+	}
+}
+
+/*
+*	The input format of a file, from its extension unless one is given
+*/
+function getInputFormat( file, options ) {
+	if ( options.input != 'auto' ) return options.input;
+	
+	var extension = path.extname( file ).toLowerCase();
+	
+	if ( extension == '.html' || extension == '.htm' ) {
+		return 'html';
+	} else if ( extension == '.md' || extension == '.markdown' ) {
+		return 'markdown';
+	} else {
+		return 'text';
+	}
+}
+
+function readStdin( callback ) {
+	var chunks = [];
+	
+	process.stdin.setEncoding( 'utf8' );
+	process.stdin.on( 'data', function( chunk ) { chunks.push( chunk ); } );
+	process.stdin.on( 'end', function() { callback( chunks.join( '' ) ); } );
+}
+
+/*
+*	Output formatting
+*/
+function toCsvField( value ) {
+	value = String( value );
+	
+	if ( /[",\r\n]/.test( value ) ) {
+		return '"' + value.replace( /"/g, '""' ) + '"';
+	}
+	
+	return value;
+}
+
+function formatResults( results, options ) {
+	if ( options.format == 'json' ) {
+		// Each result is the serialized tag set (see AUTOTAGS.TagSet.prototype.toJSON) along with the file name
+		return JSON.stringify( results.map( function( result ) {
+			var json = { 'file' : result.file };
+			var tagSet = result.tagSet.toJSON();
+			
+			for ( var key in tagSet ) {
+				json[key] = tagSet[key];
+			}
+			
+			return json;
+		}), null, 2 );
+	} else if ( options.format == 'csv' ) {
+		var lines = [ 'file,tag,type,freq,score' ];
+		
+		results.forEach( function( result ) {
+			result.tagSet.getTags().forEach( function( tag ) {
+				lines.push( [ result.file, tag.getValue(), tag.getTermType(), tag.freq, tag.getScore() ].map( toCsvField ).join( ',' ) );
+			});
+		});
+		
+		return lines.join( '\n' );
+	} else {
+		// Only prefixing the tags with the file name when there is more than one file
+		return results.map( function( result ) {
+			var tags = result.tagSet.toString( options.separator );
+			return ( results.length > 1 ) ? result.file + ': ' + tags : tags;
+		}).join( '\n' );
+	}
+}
+
+function main( args ) {
+	var options;
+	
+	try {
+		options = parseArguments( args );
+	} catch ( e ) {
+		process.stderr.write( 'autotags: ' + e.message + '\n\n' + USAGE + '\n' );
+		process.exitCode = 2;
+		return;
+	}
+	
+	if ( options.help ) {
+		process.stdout.write( USAGE + '\n' );
+		return;
+	}
+	
+	var tagger;
+	try {
+		tagger = createTagger( options );
+	} catch ( e ) {
+		process.stderr.write( 'autotags: ' + e.message + '\n' );
+		process.exitCode = 1;
+		return;
+	}
+	
+	function tag( file, text ) {
+		tagger.INPUT_FORMAT = getInputFormat( file, options );
+		return { 'file' : file, 'tagSet' : tagger.analyzeText( text, options.tags ) };
+	}
+	
+	function tagPaths( paths, stdinText ) {
+		var results = [];
+		
+		for ( var i = 0, length = paths.length; i < length; i++ ) {
+			if ( paths[i] == '-' ) {
+				results.push( tag( '-', stdinText ) );
+				continue;
+			}
+			
+			try {
+				var files = listFiles( paths[i], options, true );
+				
+				for ( var f = 0, numberOfFiles = files.length; f < numberOfFiles; f++ ) {
+					results.push( tag( files[f], fs.readFileSync( files[f], 'utf8' ) ) );
+				}
+			} catch ( e ) {
+				// Carrying on with the other files, but failing in the end
+				process.stderr.write( 'autotags: ' + e.message + '\n' );
+				process.exitCode = 1;
+			}
+		}
+		
+		if ( results.length > 0 ) {
+			process.stdout.write( formatResults( results, options ) + '\n' );
+		}
+	}
+	
+	// Stdin is read once, before any of the files, wherever - is given among them
+	var paths = ( options.paths.length > 0 ) ? options.paths : [ '-' ];
+	
+	if ( paths.indexOf( '-' ) >= 0 ) {
+		readStdin( function( text ) {
+			tagPaths( paths, text );
+		});
+	} else {
+		tagPaths( paths, null );
+	}
+}
+
+main( process.argv.slice( 2 ) );
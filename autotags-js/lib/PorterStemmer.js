@@ -8,7 +8,10 @@
 
 // Release 1
 
-step2list = new Array();
+// Wrapped in a closure so that only stemWord is global (the lists and expressions used to be global as well)
+var stemWord = (function() {
+
+var step2list = new Array();
 step2list["ational"]="ate";
 step2list["tional"]="tion";
 step2list["enci"]="ence";
@@ -31,7 +34,7 @@ step2list["iviti"]="ive";
 step2list["biliti"]="ble";
 step2list["logi"]="log";
 
-step3list = new Array();
+var step3list = new Array();
 step3list["icate"]="ic";
 step3list["ative"]="";
 step3list["alize"]="al";
@@ -40,15 +43,15 @@ step3list["ical"]="ic";
 step3list["ful"]="";
 step3list["ness"]="";
 
-c = "[^aeiou]";          // consonant
-v = "[aeiouy]";          // vowel
-C = c + "[^aeiouy]*";    // consonant sequence
-V = v + "[aeiou]*";      // vowel sequence
+var c = "[^aeiou]";          // consonant
+var v = "[aeiouy]";          // vowel
+var C = c + "[^aeiouy]*";    // consonant sequence
+var V = v + "[aeiou]*";      // vowel sequence
 
-mgr0 = "^(" + C + ")?" + V + C;               // [C]VC... is m>0
-meq1 = "^(" + C + ")?" + V + C + "(" + V + ")?$";  // [C]VC[V] is m=1
-mgr1 = "^(" + C + ")?" + V + C + V + C;       // [C]VCVC... is m>1
-s_v   = "^(" + C + ")?" + v;                   // vowel in stem
+var mgr0 = "^(" + C + ")?" + V + C;               // [C]VC... is m>0
+var meq1 = "^(" + C + ")?" + V + C + "(" + V + ")?$";  // [C]VC[V] is m=1
+var mgr1 = "^(" + C + ")?" + V + C + V + C;       // [C]VCVC... is m>1
+var s_v   = "^(" + C + ")?" + v;                   // vowel in stem
 
 function stemWord(w) {
 	var stem;
@@ -182,5 +185,8 @@ function stemWord(w) {
 
 }
 
+return stemWord;
+
+})();
 
 
@@ -52,7 +52,7 @@ function selectTag( tagElement ) {
 		selectedTagsArray.push( tag );
 		tagElement.className = CSS_TAG_SELECTED;
 	} else {
-		if (AUTOTAGS._arrayContains( AUTOTAGS.TAG_CONSTANTS, tag )) {
+		if (AUTOTAGS._arrayContains( autoTags.getTagConstantValues(), tag )) {
 			tagElement.className = CSS_TAG_CONSTANT_NOT_SELECTED;
 		} else {
 			tagElement.className = CSS_TAG_NOT_SELECTED;
@@ -76,6 +76,8 @@ function populateExistingTagsArray() {
 }
 
 function generateTags( text, termCount, debug ) {
+	// The breakdown of the scores is only recorded in debug mode
+	autoTags.EXPLAIN = debug;
 	//
 	var tagSet = autoTags.analyzeText( text, termCount );
 	//
@@ -100,7 +102,7 @@ function generateTags( text, termCount, debug ) {
 		
 		var tableHeaderRow = document.createElement('tr');
 		
-		var headers = [ 'Tag', 'Freq.','Score','Term Type', 'In WL.' ];
+		var headers = [ 'Tag', 'Freq.', 'Boosts', 'Score', 'Term Type', 'Dropped', 'In WL.' ];
 		
 		for ( var header in headers ) {
 			tableHeaderRow.appendChild( createHtmlTextNode( 'td', headers[header]) );
@@ -115,11 +117,15 @@ function generateTags( text, termCount, debug ) {
 		
 		if ( this.debug ) {
 			var debugElement = document.createElement('tr');
-			var fields = [ '_term', 'freq','score','termType' ];
-
-			for ( var field in fields ) {
-				debugElement.appendChild( createHtmlTextNode( 'td', tag[fields[field]] ) );
-			}
+			var tagJSON = tag.toJSON();
+			var explanation = tag.getExplanation();
+			
+			debugElement.appendChild( createHtmlTextNode( 'td', tagJSON.value ) );
+			debugElement.appendChild( createHtmlTextNode( 'td', tagJSON.freq ) );
+			debugElement.appendChild( createHtmlTextNode( 'td', ( explanation != null ) ? formatBoosts( explanation.boosts, tagJSON ) : tagJSON.boost ) );
+			debugElement.appendChild( createHtmlTextNode( 'td', tagJSON.score ) );
+			debugElement.appendChild( createHtmlTextNode( 'td', tagJSON.type ) );
+			debugElement.appendChild( createHtmlTextNode( 'td', ( explanation != null ) ? formatDroppedCandidates( explanation.dropped ) : '' ) );
 			
 			var inWhiteList;
 			if ( autoTags.isInWhiteList( tag.getValue() ) ) {
@@ -142,6 +148,28 @@ function generateTags( text, termCount, debug ) {
 	
 }
 
+function formatBoosts( boosts, tagJSON ) {
+	var factors = new Array();
+	
+	for ( var i = 0; i < boosts.length; i++ ) {
+		factors.push( boosts[i].reason + ' x' + boosts[i].factor );
+	}
+	if ( tagJSON.positionBoost != 1 ) factors.push( 'position x' + tagJSON.positionBoost );
+	if ( tagJSON.idf != 1 ) factors.push( 'idf x' + tagJSON.idf );
+	
+	return factors.join( ', ' );
+}
+
+function formatDroppedCandidates( dropped ) {
+	var candidates = new Array();
+	
+	for ( var i = 0; i < dropped.length; i++ ) {
+		candidates.push( dropped[i].value + ' (' + dropped[i].termType + ', ' + dropped[i].reason + ')' );
+	}
+	
+	return candidates.join( '; ' );
+}
+
 function createHtmlTextNode( type, value ) {
 	var cell = document.createElement( type );
 	var cellText = document.createTextNode( value );
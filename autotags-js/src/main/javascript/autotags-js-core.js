@@ -21,12 +21,6 @@
 *	@version 1.3
 *
 *	TODO Remove redundant lowercasing
-*	TODO Choose best inflection after stemming (based on frequency)
-*	TODO Apply further weighting based on position, applying more weighting for terms that appear at the beginning
-*	TODO Separate out language specific regular expressions
-*	TODO Support multiple sets of text with different weightings (field weights)
-*	TODO Add support for "associated" tags (e.g when suggesting 'lucene' also add 'search', 'java')
-*	TODO Support term normalisation ( 'youtube', 'iFilm' -> 'video sharing' )
 *
 */
 
@@ -34,11 +28,316 @@ var AUTOTAGS = {
 	'NAME' : 'AutoTags',
 	'VERSION' : 1.3,
 	'DEFAULT_COMPOUND_TAG_SEPARATOR' : ' ',
+	'DEFAULT_LANGUAGE' : 'en',
+	'LANGUAGE_DETECTION_SAMPLE_SIZE' : 1000, // Only the first n words of a text are used to detect its language
 	'APPLY_STEMMING' : true, // If true then the Porter stemmer should be applied to all tokens (but not phrases or n-grams), this has some overhead
+	'DEFAULT_CACHE_SIZE' : 10000, // Maximum number of entries of the stem cache shared by all taggers and of the whitelist cache of each tagger
 	'BOUNDARY' : '##!##' // Compound terms will not be created across BOUNDARIES
 };
 
 
+/*
+*
+*	Tokenisation. The expressions used to tokenise text are built from these fragments, so that accented and
+*	non-Latin letters (e.g. 'café', 'Zürich' or Cyrillic and Greek text) are treated as letters and their case
+*	is recognised. Unicode property escapes are used where the JavaScript engine supports them (along with
+*	lookbehind, which the word boundary needs), otherwise the fragments fall back to Latin-1.
+*
+*/
+AUTOTAGS.UNICODE_EXPRESSIONS = (function() {
+	try {
+		return new RegExp( '(?<![\\p{L}])\\p{Lu}', 'u' ).test( 'Ü' );
+	} catch ( e ) {
+		return false;
+	}
+})();
+
+if ( AUTOTAGS.UNICODE_EXPRESSIONS ) {
+	AUTOTAGS.EXPRESSION_FRAGMENTS = {
+		'LETTER' : '\\p{L}\\p{M}',
+		'UPPERCASE' : '\\p{Lu}\\p{Lt}',
+		'LOWERCASE' : '\\p{Ll}\\p{M}',
+		'DIGIT' : '\\p{Nd}',
+		// The same as \b, but aware of all letters and digits
+		'WORD_BOUNDARY' : '(?:(?<=[\\p{L}\\p{M}\\p{Nd}_])(?![\\p{L}\\p{M}\\p{Nd}_])|(?<![\\p{L}\\p{M}\\p{Nd}_])(?=[\\p{L}\\p{M}\\p{Nd}_]))'
+	};
+} else {
+	AUTOTAGS.EXPRESSION_FRAGMENTS = {
+		'LETTER' : 'a-zA-Z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u00FF',
+		'UPPERCASE' : 'A-Z\\u00C0-\\u00D6\\u00D8-\\u00DE',
+		'LOWERCASE' : 'a-z\\u00DF-\\u00F6\\u00F8-\\u00FF',
+		'DIGIT' : '0-9',
+		'WORD_BOUNDARY' : '\\b'
+	};
+}
+
+/*
+*	Creates a regular expression, replacing fragment names (e.g. %LETTER% or %UPPERCASE%) with the fragments
+*	of AUTOTAGS.EXPRESSION_FRAGMENTS. The source must be valid in unicode mode, e.g. without escaping
+*	characters like ' or : that need no escaping.
+*/
+AUTOTAGS.createExpression = function( source, flags ) {
+	source = source.replace( /%([A-Z_]+)%/g, function( match, name ) {
+		return AUTOTAGS.EXPRESSION_FRAGMENTS[name];
+	});
+	
+	return new RegExp( source, ( flags != undefined ? flags : '' ) + ( AUTOTAGS.UNICODE_EXPRESSIONS ? 'u' : '' ) );
+};
+
+
+/*
+*
+*	Language packs. A language pack can contain:
+*
+*		BLACKLIST	- stopwords of the language (AUTOTAGS.BLACKLIST is used if not set)
+*		STEMMER		- a function returning the root of a (lowercase) word, no stemming is applied if not set
+*		PARAMETERS	- tagger parameters that apply to the language, e.g. the tokenisation expressions
+*					  (WHITESPACE_EXPRESSION, CAPITALIZED_NGRAM_EXPRESSION, SPECIAL_TERMS_EXPRESSION) or
+*					  capitalisation rules (CAPITALIZATION_BOOST, NGRAM_BASED_ON_CAPITALISATION_BOOST)
+*
+*	A tagger uses the language pack given by its LANGUAGE parameter, or the one detected by
+*	AUTOTAGS.detectLanguage if no LANGUAGE is set.
+*
+*/
+AUTOTAGS.LANGUAGES = {};
+
+/*
+*	Registers (parts of) a language pack, the stopwords and the rest of a pack can be registered separately
+*/
+AUTOTAGS.registerLanguage = function( language, languagePack ) {
+	var existingLanguagePack = AUTOTAGS.LANGUAGES[language];
+	
+	if ( existingLanguagePack == undefined ) {
+		existingLanguagePack = AUTOTAGS.LANGUAGES[language] = {};
+	}
+	
+	for ( var property in languagePack ) {
+		existingLanguagePack[property] = languagePack[property];
+	}
+	
+	return existingLanguagePack;
+};
+
+/*
+*	Identifies the language of a text among the registered language packs (and the default language), based
+*	on how many of its words are stopwords in each language. The default language wins a tie, and is returned
+*	if no stopwords are found at all.
+*/
+AUTOTAGS.detectLanguage = function( text ) {
+	var words = text.toLowerCase().split( AUTOTAGS.createExpression( '[^%LETTER%]+' ) ).slice( 0, AUTOTAGS.LANGUAGE_DETECTION_SAMPLE_SIZE );
+	var languages = [ AUTOTAGS.DEFAULT_LANGUAGE ];
+	var detectedLanguage = AUTOTAGS.DEFAULT_LANGUAGE;
+	var highestScore = 0;
+	
+	for ( var language in AUTOTAGS.LANGUAGES ) {
+		if ( language != AUTOTAGS.DEFAULT_LANGUAGE ) languages.push( language );
+	}
+	
+	for ( var l = 0, numberOfLanguages = languages.length; l < numberOfLanguages; l++ ) {
+		var languagePack = AUTOTAGS.LANGUAGES[languages[l]];
+		var blacklist = ( languagePack != undefined ) ? languagePack.BLACKLIST : undefined;
+		
+		// The default language may rely on AUTOTAGS.BLACKLIST
+		if ( blacklist == undefined && languages[l] == AUTOTAGS.DEFAULT_LANGUAGE ) blacklist = AUTOTAGS.BLACKLIST;
+		if ( blacklist == undefined ) continue;
+		
+		var score = 0;
+		for ( var i = 0, numberOfWords = words.length; i < numberOfWords; i++ ) {
+			if ( blacklist.hasOwnProperty( words[i] ) && blacklist[words[i]] == true ) score++;
+		}
+		
+		if ( score > highestScore ) {
+			highestScore = score;
+			detectedLanguage = languages[l];
+		}
+	}
+	
+	return detectedLanguage;
+};
+
+
+/*
+*
+*	Inflection policies (see INFLECTION_POLICY). Each one takes the variants of a term, as returned by
+*	Term.getVariants (most frequent first), and returns the value to use for the term.
+*
+*/
+AUTOTAGS.INFLECTION_POLICIES = {
+	'frequency' : function( variants, tagger ) {
+		return variants[0].value;
+	},
+	'shortest' : function( variants, tagger ) {
+		var shortest = variants[0];
+		for ( var i = 1, length = variants.length; i < length; i++ ) {
+			if ( variants[i].value.length < shortest.value.length ) shortest = variants[i];
+		}
+		return shortest.value;
+	},
+	'dictionary' : function( variants, tagger ) {
+		// Prefer a variant found in the whitelist, falling back to the most frequent one
+		for ( var i = 0, length = variants.length; i < length; i++ ) {
+			if ( tagger.isInWhiteList( variants[i].value ) ) return variants[i].value;
+		}
+		return variants[0].value;
+	}
+};
+
+
+/*
+*
+*	Position decay functions (see POSITION_DECAY). Each one takes the relative position of a term (0 at the
+*	beginning of a text, approaching 1 at the end) and returns a factor between 0 and 1 which is used to
+*	scale the tagger's POSITION_BOOST.
+*
+*/
+AUTOTAGS.POSITION_DECAY_FUNCTIONS = {
+	'none' : function( relativePosition, tagger, leadSize ) {
+		return 0;
+	},
+	'linear' : function( relativePosition, tagger, leadSize ) {
+		return Math.max( 0, 1 - relativePosition );
+	},
+	'exponential' : function( relativePosition, tagger, leadSize ) {
+		return Math.pow( 0.5, relativePosition / tagger.POSITION_HALF_LIFE );
+	},
+	'lead' : function( relativePosition, tagger, leadSize ) {
+		return ( relativePosition < leadSize ) ? 1 : 0;
+	}
+};
+
+
+/*
+*
+*	Collocation measures (see COLLOCATION_MEASURE). Each one takes the number of times a bigram was found, the number
+*	of times each of its two tokens was found and the number of tokens (single terms) found in the text, and returns
+*	how strongly the two tokens are associated (the higher the more likely the bigram is a phrase rather than two
+*	words that happen to be next to each other).
+*	AUTOTAGS.COLLOCATION_THRESHOLDS holds the score each measure needs for a bigram to count as a phrase within a
+*	single text, which is much lower than the one it would need in a corpus (e.g. a t-score can never be higher
+*	than the square root of the frequency of the bigram).
+*
+*/
+AUTOTAGS.COLLOCATION_MEASURES = {
+	// Pointwise mutual information, in bits
+	'pmi' : function( bigramFreq, freq1, freq2, numberOfTokens ) {
+		return Math.log( ( bigramFreq * numberOfTokens ) / ( freq1 * freq2 ) ) / Math.LN2;
+	},
+	// Dunning's log-likelihood ratio, negative if the tokens are found together less often than expected
+	'llr' : function( bigramFreq, freq1, freq2, numberOfTokens ) {
+		var xLogX = function( x ) { return ( x > 0 ) ? x * Math.log( x ) : 0; };
+		var k11 = bigramFreq;
+		var k12 = Math.max( 0, freq1 - bigramFreq );
+		var k21 = Math.max( 0, freq2 - bigramFreq );
+		var k22 = Math.max( 0, numberOfTokens - freq1 - freq2 + bigramFreq );
+		var total = k11 + k12 + k21 + k22;
+		
+		var llr = 2 * ( xLogX( k11 ) + xLogX( k12 ) + xLogX( k21 ) + xLogX( k22 ) + xLogX( total )
+			- xLogX( k11 + k12 ) - xLogX( k21 + k22 ) - xLogX( k11 + k21 ) - xLogX( k12 + k22 ) );
+		
+		return ( k11 * total < ( k11 + k12 ) * ( k11 + k21 ) ) ? -llr : llr;
+	},
+	't-score' : function( bigramFreq, freq1, freq2, numberOfTokens ) {
+		return ( bigramFreq - ( freq1 * freq2 ) / numberOfTokens ) / Math.sqrt( bigramFreq );
+	}
+};
+
+AUTOTAGS.COLLOCATION_THRESHOLDS = {
+	'pmi' : 1, // Found together at least twice as often as expected
+	'llr' : 3.84, // Significant at p < 0.05
+	't-score' : 1
+};
+
+
+/*
+*
+*	Entity recognizers (see RECOGNIZE_ENTITIES and ENTITY_RECOGNIZERS). Entities are recognized in the order listed
+*	here, before the text is split into tokens, and are masked so that none of the candidates found later are made
+*	from them (e.g. 'Node.js' is not split into 'Node' and 'js'). Each recognizer has an expression matching the
+*	character before the entity (or the beginning of the text) and the entity, the term type and boost of the
+*	terms it finds, and whether it is enabled by default. Numbers are only recognized to keep them together, with a
+*	boost of 0 they are never suggested.
+*
+*/
+AUTOTAGS.ENTITY_RECOGNIZERS = {
+	'url' : {
+		'expression' : AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_])((?:https?://|ftp://|www\\.)[^\\s<>"\'`]*[^\\s<>"\'`.,;:!?)\\]}])', 'gi' ),
+		'termType' : 'TYPE_URL',
+		'boost' : 1,
+		'enabled' : true
+	},
+	'email' : {
+		'expression' : AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_.+\\-])([%LETTER%%DIGIT%_.+\\-]+@[%LETTER%%DIGIT%\\-]+(?:\\.[%LETTER%%DIGIT%\\-]+)*\\.[%LETTER%]{2,})(?![%LETTER%%DIGIT%_])', 'g' ),
+		'termType' : 'TYPE_EMAIL',
+		'boost' : 1,
+		'enabled' : true
+	},
+	'mention' : {
+		'expression' : AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_@.])(@[%LETTER%%DIGIT%_]*[%LETTER%][%LETTER%%DIGIT%_]*)', 'g' ),
+		'termType' : 'TYPE_MENTION',
+		'boost' : 1.5,
+		'enabled' : true
+	},
+	'hashtag' : {
+		'expression' : AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_&#])(#[%LETTER%%DIGIT%_]*[%LETTER%][%LETTER%%DIGIT%_]*)', 'g' ),
+		'termType' : 'TYPE_HASHTAG',
+		'boost' : 2.5,
+		'enabled' : true
+	},
+	// Names like Node.js, Socket.io, ASP.NET, C++ and C#
+	'tech-name' : {
+		'expression' : AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_.])([%LETTER%][%LETTER%%DIGIT%]*\\.(?:js|JS|io)|(?:[%UPPERCASE%][%LETTER%]*)?\\.NET|[%UPPERCASE%]{1,2}(?:\\+\\+|#))(?![%LETTER%%DIGIT%_+#])', 'g' ),
+		'termType' : 'TYPE_TECH_NAME',
+		'boost' : 2.5,
+		'enabled' : true
+	},
+	// Versions like v2, v2.3 or 2.3.1-beta
+	'version' : {
+		'expression' : AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_.])((?:[vV][%DIGIT%]+(?:\\.[%DIGIT%]+)*|[%DIGIT%]+(?:\\.[%DIGIT%]+){2,})(?:-[%LETTER%%DIGIT%]+(?:\\.[%LETTER%%DIGIT%]+)*)?)(?![%LETTER%%DIGIT%_]|\\.[%DIGIT%])', 'g' ),
+		'termType' : 'TYPE_VERSION',
+		'boost' : 1,
+		'enabled' : true
+	},
+	// Decimals, numbers with thousands separators and percentages (other numbers are tokens like any other)
+	'number' : {
+		'expression' : AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_.,])([\\-+]?[%DIGIT%]{1,3}(?:,[%DIGIT%]{3})+(?:\\.[%DIGIT%]+)?%?|[\\-+]?[%DIGIT%]+\\.[%DIGIT%]+%?|[\\-+]?[%DIGIT%]+%)(?![%LETTER%%DIGIT%_]|[.,][%DIGIT%])', 'g' ),
+		'termType' : 'TYPE_NUMBER',
+		'boost' : 0,
+		'enabled' : true
+	}
+};
+
+
+/*
+*
+*	Rankings (see RANKING). Each one turns the candidates collected in the 1st pass (the frequency lists and the
+*	sequences of single term candidates in each field) into the TagSet to be returned.
+*
+*/
+AUTOTAGS.RANKINGS = {
+	// Frequency times boosts, see _evaluateFrequencyLists
+	'frequency' : function( tagger, frequencyLists, candidateSequences, numberOfTagsToReturn ) {
+		return tagger._evaluateFrequencyLists( frequencyLists, numberOfTagsToReturn );
+	},
+	// Centrality in the graph of words co-occurring in the text, see _rankByTextRank
+	'textrank' : function( tagger, frequencyLists, candidateSequences, numberOfTagsToReturn ) {
+		return tagger._rankByTextRank( frequencyLists, candidateSequences, numberOfTagsToReturn );
+	}
+};
+
+
+/*
+*
+*	Input formats (see INPUT_FORMAT). Each one turns the text passed to analyzeText into the fields passed to
+*	analyzeFields, the HTML and Markdown formats are added by autotags-js-markup.js.
+*
+*/
+AUTOTAGS.INPUT_FORMATS = {
+	'text' : function( text, tagger ) {
+		return { 'text' : { 'text' : text, 'weight' : 1 } };
+	}
+};
+
+
 /*
 *
 *	Create an instance of AutoTags
@@ -53,6 +352,7 @@ AUTOTAGS.createTagger = function( parameters ) {
 	this.REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS = true; // Remove all numbers with 4 digits or less
 	this.LOWERCASE = true; // If true all terms are lowercased before returning
 	this.EXTRACT_SPECIAL_TERMS = true; // Extract abbreviations, acronyms and CamelCase words.
+	this.RECOGNIZE_ENTITIES = true; // Recognize URLs, emails, mentions, hashtags, tech names, versions and numbers (see AUTOTAGS.ENTITY_RECOGNIZERS)
 	
 	this.TOKEN_LENGTH_CUTOFF = 2; // Only consider single tokens that are longer than n characters
 	this.TERM_FREQUENCY_CUTOFF = 1; // Ignore terms that have fewer than n occurrences
@@ -64,22 +364,74 @@ AUTOTAGS.createTagger = function( parameters ) {
 	this.NGRAM_BASED_ON_CAPITALISATION_BOOST = 3.5; // This boost is applied to capitalised bi- and trigrams
 	this.SPECIAL_TERM_BOOST = 2.5; // This boost is applied to capitalised bi- and trigrams
 	this.BIGRAM_BOOST = 2.5; // This is applied to bigrams that do not contain stopwords and whose individual tokens are longer than 2 characters
-	this.BIGRAM_ALREADY_DETECTED_BOOST = 0.25; // This boost is applied to all bigrams found to be wholly contained within a compound term detected based on capitalisation
+	this.NGRAM_BOOST = 3; // This is applied to n-grams of three or more tokens (see MAX_NGRAM_SIZE), following the same rules as bigrams
+	this.BIGRAM_ALREADY_DETECTED_BOOST = 0.25; // This boost is applied to all bigrams (and n-grams) found to be wholly contained within a higher scoring compound term or n-gram
 	this.TERM_FROM_COMPOUND_DOWNWEIGHT = 0.25; // This is applied to individual tokens within an n-gram (every time an n-gram is discovered)
 	
+	this.COLLOCATION_MEASURE = null; // Decide which bigrams are phrases: 'pmi', 'llr', 't-score' (see AUTOTAGS.COLLOCATION_MEASURES), a function or null for none
+	this.COLLOCATION_THRESHOLD = null; // The score a bigram needs to count as a phrase, AUTOTAGS.COLLOCATION_THRESHOLDS of the measure is used if not set
+	this.COLLOCATION_BOOST = 1.5; // This boost is applied to bigrams that count as phrases according to the COLLOCATION_MEASURE
+	this.COLLOCATION_DOWNWEIGHT = 0.25; // This is applied to bigrams that do not count as phrases according to the COLLOCATION_MEASURE
+	this.COLLOCATION_MIN_FREQUENCY = 3; // Bigrams found fewer times than this are too rare to be downweighted by the COLLOCATION_MEASURE (they can still be boosted)
+	this.MAX_NGRAM_SIZE = 2; // Extract phrases of up to n tokens (not only bigrams) as TYPE_SIMPLE_NGRAM_TERM, e.g. 3 for 'support vector machine'
+	
 	this.COMPOUND_TAG_SEPARATOR = AUTOTAGS.DEFAULT_COMPOUND_TAG_SEPARATOR; // Intra-tag (e.g. cool_gadget vs. cool gadget) separator to use
+	this.FIELD_WEIGHTS = { 'title' : 3, 'headings' : 2, 'emphasis' : 0.5, 'links' : 0.5, 'alt' : 1 }; // Default weights of named fields passed to analyzeFields (fields not listed here get a weight of 1)
+	
+	this.INPUT_FORMAT = 'text'; // The format of the texts passed to analyzeText: 'text', 'html', 'markdown' (see AUTOTAGS.INPUT_FORMATS) or a function
+	this.IGNORE_CODE = false; // For html and markdown, ignore code blocks and inline code
+	
+	this.POSITION_DECAY = 'none'; // Weighting based on position: 'none', 'linear', 'exponential', 'lead' (see AUTOTAGS.POSITION_DECAY_FUNCTIONS) or a function
+	this.POSITION_BOOST = 1; // The maximum extra weight given to terms at the very beginning of a field (a boost of 1 + POSITION_BOOST)
+	this.POSITION_HALF_LIFE = 0.1; // For exponential decay, the relative distance into the text at which half the POSITION_BOOST is left
+	this.POSITION_LEAD_SIZE = 0.2; // For lead decay, the relative size of the lead if the text has no paragraph break
+	
+	this.ASSOCIATIONS = null; // Map of tags to associated tags (e.g. { 'lucene' : [ 'search', 'java' ] }), AUTOTAGS.ASSOCIATIONS is used if not set
+	this.ASSOCIATED_TERM_BOOST = 0.5; // An associated tag scores this fraction of the score of the tag that triggered it
+	
+	this.INFLECTION_POLICY = 'frequency'; // Which variant of a term to return: 'frequency', 'shortest', 'dictionary' (see AUTOTAGS.INFLECTION_POLICIES) or a function
+	this.NORMALISATIONS = null; // Map of variants to canonical terms (e.g. { 'e-mail' : 'email', 'youtube' : 'video sharing' }), AUTOTAGS.NORMALISATIONS is used if not set
+	
+	this.RANKING = 'frequency'; // How candidates are ranked: 'frequency', 'textrank' (see AUTOTAGS.RANKINGS) or a function
+	this.TEXTRANK_WINDOW = 2; // For textrank, words are linked if they are found within n candidates of each other
+	this.TEXTRANK_DAMPING = 0.85; // For textrank, the damping factor of the ranking
+	this.TEXTRANK_ITERATIONS = 50; // For textrank, the maximum number of iterations of the ranking
+	this.TEXTRANK_CONVERGENCE = 0.0001; // For textrank, the ranking stops once no rank changes by more than this
+	
+	this.TAXONOMY = null; // If set to an AUTOTAGS.Taxonomy then only the taxonomy nodes matched by the tags are returned (see autotags-js-taxonomy.js)
+	this.TAXONOMY_ROLL_UP = false; // If true the ancestors of the taxonomy nodes matched are returned as well
+	this.TAXONOMY_ROLL_UP_WEIGHT = 0.5; // An ancestor scores this fraction of the score of its child (and this fraction again for each level further up)
+	this.TAXONOMY_MIN_CONFIDENCE = 0; // Ignoring taxonomy nodes matched with a confidence of less than n (between 0 and 1)
+	
+	this.ENTITY_RECOGNIZERS = null; // Map of recognizer names to true or false, enabling or disabling those of AUTOTAGS.ENTITY_RECOGNIZERS, or to recognizers of your own
+	
+	this.CORPUS = null; // If set to an AUTOTAGS.Corpus then terms are scored by TF-IDF instead of raw frequency (see autotags-js-corpus.js)
+	this.EXPLAIN = false; // If true each term records the boosts applied to it and the candidates dropped in its favour (see Term.getExplanation)
 	
 	// Remove all whitespace characters (certain white space characters are turned into boundaries)
-	this.WHITESPACE_EXPRESSION = /(\')?([^a-zA-Z0-9_\.\!\?\:\;\n\r\f\t])/g;
+	this.WHITESPACE_EXPRESSION = AUTOTAGS.createExpression( "(')?([^%LETTER%%DIGIT%_.!?:;\\n\\r\\f\\t])", 'g' );
 	// Look for compound terms (bi- and trigrams) based on capitalization, accounting for corner cases like PayPal, McKinley etc.
 	// TODO Need to estimate whether this is too greedy or not
-	this.CAPITALIZED_NGRAM_EXPRESSION = /(([A-Z][a-z]*)?[A-Z][a-z]+ (of )?(Mc|Mac)?[A-Z][a-z]+([ \-][A-Z][a-z]+)?([ ][A-Z][a-z]+)?)/g;
+	this.CAPITALIZED_NGRAM_EXPRESSION = AUTOTAGS.createExpression( '(([%UPPERCASE%][%LOWERCASE%]*)?[%UPPERCASE%][%LOWERCASE%]+ (of )?(Mc|Mac)?[%UPPERCASE%][%LOWERCASE%]+([ \\-][%UPPERCASE%][%LOWERCASE%]+)?([ ][%UPPERCASE%][%LOWERCASE%]+)?)', 'g' );
 	// Special Terms Expression to extract e.g. abbreviations and acronyms (with support for CamelCase words like JavaScript)
-	this.SPECIAL_TERMS_EXPRESSION = /\b([A-Za-z]{1,2}\-[A-Za-z]+)|(([A-Z]\.){2,})|((([A-Z][A-Z0-9\-\:\_\+]+)|([A-Z]+[a-z]*?[A-Z][a-z]*?))( [A-Z][A-Za-z]+)?( [A-Z][A-Za-z]+)?( [0-9]*(\.[0-9]*)?)?)\b/g;
+	this.SPECIAL_TERMS_EXPRESSION = AUTOTAGS.createExpression( '%WORD_BOUNDARY%([%LETTER%]{1,2}-[%LETTER%]+)|(([%UPPERCASE%]\\.){2,})|((([%UPPERCASE%][%UPPERCASE%%DIGIT%\\-:_+]+)|([%UPPERCASE%]+[%LOWERCASE%]*?[%UPPERCASE%][%LOWERCASE%]*?))( [%UPPERCASE%][%LETTER%]+)?( [%UPPERCASE%][%LETTER%]+)?( [%DIGIT%]*(\\.[%DIGIT%]*)?)?)%WORD_BOUNDARY%', 'g' );
+	// The runs of characters that are kept together as tokens by the WHITESPACE_EXPRESSION (used to find the tokens in the text)
+	this.TOKEN_EXPRESSION = AUTOTAGS.createExpression( '[%LETTER%%DIGIT%_]+', 'g' );
 	// This expression looks for 'short numbers' with less than four digits (this will be included in stopword expression)
 	this.SHORT_NUMBERS_EXPRESSION = '[0-9]{1,3}';
 	
 	
+	this.WHITELIST = null; // Array of terms to boost, AUTOTAGS.WHITELIST is used if not set
+	this.WHITELIST_PHRASE_MATCHING = true; // Find the phrases of the whitelist wherever they are in the text, even if they contain stopwords
+	this.BLACKLIST = null; // Map of terms to add to (true) or remove from (false) the stopwords of the language, e.g. { 'said' : true, 'computer' : false }
+	this.TAG_CONSTANTS = null; // Array of tags that are always suggested, AUTOTAGS.TAG_CONSTANTS is used if not set
+	
+	this.LANGUAGE = null; // The language pack to use (see AUTOTAGS.registerLanguage), e.g. 'de', or null to detect the language of each text
+	
+	this.STEM_CACHE = null; // Cache of stemmed tokens (see AUTOTAGS.LRUCache), AUTOTAGS.STEM_CACHE is shared by all taggers if not set
+	this.WHITELIST_CACHE = null; // Cache of whitelist lookups, each tagger gets its own if not set (only share it between taggers with the same whitelist)
+	
+	
 	/*
 	*	Setting all formal parameters (overriding default parameters)
 	*/
@@ -89,10 +441,18 @@ AUTOTAGS.createTagger = function( parameters ) {
 				this[property] = parameters[property];
 			}
 		}
+		
+		if ( parameters.language != undefined ) {
+			this.LANGUAGE = parameters.language;
+		}
 	}
 	
+	// The formal parameters take precedence over the parameters of language packs
+	this.formalParameters = ( typeof parameters != 'undefined' ) ? parameters : {};
+	// Taggers with the parameters of each language pack applied, see _getLanguageTagger
+	this.languageTaggers = {};
 	// This is the whitelist cache
-	this.whitelistCache = {};
+	this.whitelistCache = ( this.WHITELIST_CACHE != null ) ? this.WHITELIST_CACHE : new AUTOTAGS.LRUCache();
 	// Tag constants
 	this.tagConstants;
 };
@@ -103,18 +463,185 @@ AUTOTAGS.createTagger.prototype = {
 	*	Analyze Text
 	*/
 	analyzeText : function( text, numberOfTagsToReturn ) {
+		return this.analyzeFields( this._toFields( text ), numberOfTagsToReturn );
+	},
+	
+	/*
+	*	Analyze Fields
+	*
+	*	Analyzes several named sets of text, each with its own weighting, e.g.
+	*	{ 'title' : { 'text' : '...', 'weight' : 3 }, 'body' : { 'text' : '...' } }. A field can also be given as
+	*	a plain string, in which case its weight is looked up in FIELD_WEIGHTS (defaulting to 1). Each field is
+	*	processed separately, so no compound terms are created across fields, but all occurrences end up in the
+	*	same frequency lists with every occurrence counting as much as the weight of the field it was found in.
+	*/
+	analyzeFields : function( fields, numberOfTagsToReturn ) {
 
 		// Starting
 		var startTime = new Date().getTime();
 
 		// Data Structures
-		var frequencyListSingleTerms = new AUTOTAGS.FrequencyList();
-		var frequencyListCapitalisedCompoundTerms = new AUTOTAGS.FrequencyList();
-		var frequencyListSimpleBigramTerms = new AUTOTAGS.FrequencyList();
-		var frequencyListSpecialTerms = new AUTOTAGS.FrequencyList();
+		var frequencyLists = this._createFrequencyLists();
+		var fieldNames = new Array();
+		var fieldTexts = new Array();
+		var fieldWeights = new Array();
+		
+		for ( var fieldName in fields ) {
+			var field = fields[fieldName];
+			var fieldText = field;
+			var fieldWeight = this.FIELD_WEIGHTS[fieldName];
+			
+			if ( typeof field == 'object' && field != null ) {
+				fieldText = field.text;
+				if ( field.weight != undefined ) fieldWeight = field.weight;
+			}
+			if ( fieldWeight == undefined ) fieldWeight = 1;
+			
+			if ( typeof fieldText == 'string' && fieldText.length > 0 && fieldWeight > 0 ) {
+				fieldNames.push( fieldName );
+				fieldTexts.push( fieldText );
+				fieldWeights.push( fieldWeight );
+			}
+		}
+		
+		// All fields are analyzed with the language pack of the language set, or the one detected
+		var language = this.getLanguage( fieldTexts.join( '\n' ) );
+		var languageTagger = this._getLanguageTagger( language );
+		var candidateSequences = new Array();
+		
+		for ( var i = 0, length = fieldTexts.length; i < length; i++ ) {
+			candidateSequences.push( languageTagger._buildFrequencyLists( fieldTexts[i], fieldWeights[i], frequencyLists, fieldNames[i] ) );
+		}
+		
+		var ranking = languageTagger.RANKING;
+		if ( typeof ranking != 'function' ) ranking = AUTOTAGS.RANKINGS[ranking];
+		if ( ranking == undefined ) ranking = AUTOTAGS.RANKINGS['frequency'];
+		
+		// All tags are ranked when they are mapped to a taxonomy, since any of them might match a node
+		var tagSetToBeReturned = ranking( languageTagger, frequencyLists, candidateSequences, ( languageTagger.TAXONOMY != null ) ? Infinity : numberOfTagsToReturn );
+		
+		if ( languageTagger.TAXONOMY != null ) {
+			tagSetToBeReturned = languageTagger._mapToTaxonomy( tagSetToBeReturned, numberOfTagsToReturn );
+		}
+		tagSetToBeReturned.language = language;
+		
+		// Done
+		this._setAlgorithmTime( new Date().getTime() - startTime );
+		
+		return tagSetToBeReturned;
+	},
+	
+	/*
+	*	Analyze Documents
+	*
+	*	Analyzes many documents in one go (either texts or fields as passed to analyzeFields), returning an
+	*	AUTOTAGS.TagStatistics with the TagSet of each document as well as document frequencies, co-occurrences
+	*	and the top tags across all documents. The caches of the tagger are shared between the documents.
+	*/
+	analyzeDocuments : function( documents, numberOfTagsToReturn ) {
+
+		// Starting
+		var startTime = new Date().getTime();
+		
+		var tagStatistics = new AUTOTAGS.TagStatistics();
+		
+		for ( var i = 0, length = documents.length; i < length; i++ ) {
+			var document = documents[i];
+			
+			if ( typeof document == 'string' ) {
+				tagStatistics.addTagSet( this.analyzeText( document, numberOfTagsToReturn ) );
+			} else {
+				tagStatistics.addTagSet( this.analyzeFields( document, numberOfTagsToReturn ) );
+			}
+		}
+		
+		// Done
+		this._setAlgorithmTime( new Date().getTime() - startTime );
+		
+		return tagStatistics;
+	},
+	
+	/*
+	*	Returns the language of the text, either the LANGUAGE set or the one detected
+	*/
+	getLanguage : function( text ) {
+		if ( this.LANGUAGE != null ) {
+			return this.LANGUAGE;
+		} else {
+			return AUTOTAGS.detectLanguage( text );
+		}
+	},
+	
+	/*
+	*	Returns a tagger for the language, i.e. this tagger with the parameters of the language pack applied
+	*	(except the ones given as formal parameters). Changes made to this tagger later on apply to it as well,
+	*	but not to the parameters of the language pack, which keep the values of the pack.
+	*/
+	_getLanguageTagger : function( language ) {
+		var languagePack = AUTOTAGS.LANGUAGES[language];
+		var languageParameters = ( languagePack != undefined ) ? languagePack.PARAMETERS : undefined;
+		var languageTagger = this.languageTaggers['_' + language];
+		
+		if ( languageTagger == undefined || languageTagger.languageParameters !== languageParameters ) {
+			var LanguageTagger = function() {};
+			LanguageTagger.prototype = this;
+			
+			languageTagger = new LanguageTagger();
+			languageTagger.LANGUAGE = language;
+			languageTagger.languageParameters = languageParameters;
+			
+			if ( languageParameters != undefined ) {
+				for ( var property in languageParameters ) {
+					if( typeof this[property] != 'undefined' && !this.formalParameters.hasOwnProperty( property ) ) {
+						languageTagger[property] = languageParameters[property];
+					}
+				}
+			}
+			
+			this.languageTaggers['_' + language] = languageTagger;
+		}
+		
+		return languageTagger;
+	},
+	
+	/*
+	*	Turns the text passed to analyzeText into fields, according to the INPUT_FORMAT
+	*/
+	_toFields : function( text ) {
+		var inputFormat = this.INPUT_FORMAT;
+		if ( typeof inputFormat != 'function' ) inputFormat = AUTOTAGS.INPUT_FORMATS[inputFormat];
+		if ( inputFormat == undefined ) throw new Error( 'Unknown input format: ' + this.INPUT_FORMAT );
 		
-		// Instance Variables
-		var algorithmTime = 0;
+		return inputFormat( text, this );
+	},
+	
+	_createFrequencyLists : function() {
+		return {
+			'singleTerms' : new AUTOTAGS.FrequencyList(),
+			'capitalisedCompoundTerms' : new AUTOTAGS.FrequencyList(),
+			'simpleBigramTerms' : new AUTOTAGS.FrequencyList(),
+			'simpleNGramTerms' : new AUTOTAGS.FrequencyList(),
+			'specialTerms' : new AUTOTAGS.FrequencyList(),
+			'entityTerms' : new AUTOTAGS.FrequencyList()
+		};
+	},
+	
+	/*
+	*	Pre-processes the text and adds all candidates found to the frequency lists (1st pass). Every occurrence
+	*	adds fieldWeight to the frequency of the term, and its offsets in the text (in the field called fieldName).
+	*	Returns the sequence of single term candidates in the text, { 'fieldWeight', 'candidates' }, where each
+	*	candidate is { 'termId', 'position', 'offsets' } and null marks a break, i.e. stopwords or boundaries between
+	*	two candidates (used by the RANKINGS).
+	*/
+	_buildFrequencyLists : function( text, fieldWeight, frequencyLists, fieldName ) {
+
+		// Data Structures
+		var frequencyListSingleTerms = frequencyLists.singleTerms;
+		var frequencyListCapitalisedCompoundTerms = frequencyLists.capitalisedCompoundTerms;
+		var frequencyListSimpleBigramTerms = frequencyLists.simpleBigramTerms;
+		var frequencyListSimpleNGramTerms = frequencyLists.simpleNGramTerms;
+		var frequencyListSpecialTerms = frequencyLists.specialTerms;
+		var frequencyListEntityTerms = frequencyLists.entityTerms;
 
 
 
@@ -125,17 +652,36 @@ AUTOTAGS.createTagger.prototype = {
 		*
 		*/
 		
+		// Recognizing entities like URLs or hashtags, which are masked in the text so that nothing else is made from them
+		var entities = new Array();
+		
+		if ( this.RECOGNIZE_ENTITIES ) {
+			text = this._recognizeEntities( text, entities );
+		}
+		
+		// Replacing variants with their canonical terms, so that their frequencies add up
+		var replacements = new Array();
+		text = this._normaliseText( text, replacements );
+		
 		// Replacing all whitespace characters with a single space
 		var textWithWhitespaceRemoved = ( ' ' + text + ' ' ).replace( this.WHITESPACE_EXPRESSION, ' ' );
 		
 		// Swapping certain punctuation for a boundary marker
 		var textWithBoundaryMarkers = textWithWhitespaceRemoved.replace( /([ ]*[\.\!\?\:\;\n\r\f\t][ ]*)+/g , (' ' + AUTOTAGS.BOUNDARY + ' ') );
 		
-		// Removing stopwords
-		var textWithWhitespaceAndStopwordsRemoved = textWithBoundaryMarkers.replace(this._getStopWordRegExpression(), ' ');
+		// Finding where each token is in the text, so that occurrences can be traced back to the original text
+		var tokenMap = this._mapTokens( text, textWithBoundaryMarkers );
+		
+		// Splitting the text into individual terms, leaving out stopwords
+		var tokenized = this._tokenize( textWithBoundaryMarkers, tokenMap.spans );
+		var tokensToProcess = tokenized.tokens;
 		
-		// Splitting tokens into individual terms
-		var tokensToProcess = textWithWhitespaceAndStopwordsRemoved.split(' ');
+		// The positions of all terms are indexes of tokens (as split by single spaces, see _mapTokens)
+		var numberOfTokens = tokenMap.spans.length;
+		
+		// The lead ends at the first paragraph break (used for position based weighting)
+		var paragraphBreak = text.search( /\n\s*\n/ );
+		var leadSize = ( paragraphBreak > 0 ) ? this._getTokenIndex( tokenMap, paragraphBreak ) / numberOfTokens : this.POSITION_LEAD_SIZE;
 
 
 
@@ -146,14 +692,20 @@ AUTOTAGS.createTagger.prototype = {
 		*
 		*/
 		
-		// Identifying all single term candidates
+		// Identifying all single term candidates (by their index among all tokens as well, to find their sequence)
+		var candidatesByIndex = new Object();
+		
 		for ( var i = 0, length = tokensToProcess.length; i < length; i++ ) {
 			var token = tokensToProcess[i];
 			
 			if ( token.length > this.TOKEN_LENGTH_CUTOFF ) {
-				var term = new AUTOTAGS.Term({ 'boost':this.SINGLE_TERM_BOOST });
+				var term = new AUTOTAGS.Term({ 'boost':this.SINGLE_TERM_BOOST, 'freq':fieldWeight, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
 				term.setValue( token );
 				term.ignoreTermFreqCutoff = false;
+				this._setPosition( term, tokenized.indexes[i], numberOfTokens, leadSize );
+				var offsets = this._addOffsets( term, tokenized.spans[i], replacements, fieldName );
+				
+				candidatesByIndex[tokenized.indexes[i]] = { 'termId' : term.getTermId(), 'position' : tokenized.indexes[i], 'offsets' : offsets };
 
 				// Adding the candidate to the frequency list
 				frequencyListSingleTerms.addTerm( term );
@@ -162,75 +714,215 @@ AUTOTAGS.createTagger.prototype = {
 		
 		// Identifying all special terms
 		if ( this.EXTRACT_SPECIAL_TERMS ) {
-			var specialTerms = text.match( this.SPECIAL_TERMS_EXPRESSION );
-			if ( specialTerms != null ) {
-				for ( var i = 0, length = specialTerms.length; i < length; i++ ) {
-					var term = new AUTOTAGS.Term({ 'termType': AUTOTAGS.TermConstants.TYPE_SPECIAL_TERM, 'boost':this.SPECIAL_TERM_BOOST });
-					term.setValue( AUTOTAGS.trim(specialTerms[i]) );
-					term.ignoreTermFreqCutoff = true;
+			var specialTerms = this._matchWithOffsets( text, this.SPECIAL_TERMS_EXPRESSION );
+			
+			for ( var i = 0, length = specialTerms.length; i < length; i++ ) {
+				var term = new AUTOTAGS.Term({ 'termType': AUTOTAGS.TermConstants.TYPE_SPECIAL_TERM, 'boost':this.SPECIAL_TERM_BOOST, 'freq':fieldWeight, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
+				term.setValue( AUTOTAGS.trim(specialTerms[i].value) );
+				term.ignoreTermFreqCutoff = true;
+				
+				// The match may start or end with whitespace, which is not part of the term
+				var specialTermStart = specialTerms[i].index + specialTerms[i].value.search( /\S/ );
+				this._setPosition( term, this._getTokenIndex( tokenMap, specialTermStart ), numberOfTokens, leadSize );
+				this._addOffsets( term, { 'start' : specialTermStart, 'end' : specialTermStart + term.getValue().length }, replacements, fieldName );
 
-					// Adding the candidate to the frequency list
-					frequencyListSpecialTerms.addTerm( term );
-				}
+				// Adding the candidate to the frequency list
+				frequencyListSpecialTerms.addTerm( term );
 			}
 		}
 		
+		// Adding the entities recognized (their offsets are in the text as it was before it was normalised, and as they are
+		// masked by a boundary they take the position of the token after them)
+		for ( var i = 0, length = entities.length; i < length; i++ ) {
+			var entity = entities[i];
+			var term = new AUTOTAGS.Term({ 'termType': entity.termType, 'boost':entity.boost, 'freq':fieldWeight, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
+			term.setValue( entity.value );
+			term.ignoreTermFreqCutoff = true;
+			this._setPosition( term, this._getTokenIndex( tokenMap, AUTOTAGS._toNormalisedOffset( entity.index, replacements ) ), numberOfTokens, leadSize );
+			this._addOffsets( term, { 'start' : entity.index, 'end' : entity.index + entity.value.length }, new Array(), fieldName );
+			
+			// Adding the candidate to the frequency list
+			frequencyListEntityTerms.addTerm( term );
+		}
+		
 		// Identifying compound terms based on capitalization
-		var capitalizedNGrams = textWithBoundaryMarkers.match( this.CAPITALIZED_NGRAM_EXPRESSION );
+		var capitalizedNGrams = this._matchWithOffsets( textWithBoundaryMarkers, this.CAPITALIZED_NGRAM_EXPRESSION );
 		
-		if ( capitalizedNGrams != null ) {
-			for ( var i = 0, length = capitalizedNGrams.length; i < length; i++ ) {
-				var compoundTermValue = capitalizedNGrams[i];
+		for ( var i = 0, length = capitalizedNGrams.length; i < length; i++ ) {
+			var compoundTermValue = capitalizedNGrams[i].value;
+			var compoundTermIndex = capitalizedNGrams[i].index;
+
+			// The compound term should not start with a word from the blacklist, I try removing it and see what I'm left with.
+			var compoundTermArray = compoundTermValue.split(' ');
+			if ( this.isInBlackList( compoundTermArray[0] ) ) {
+				compoundTermIndex += compoundTermValue.indexOf(' ') + 1;
+				compoundTermValue = compoundTermValue.substr( compoundTermValue.indexOf(' ') + 1 );
+			}
+			
+			var term = new AUTOTAGS.Term({ 'termType': AUTOTAGS.TermConstants.TYPE_CAPITALISED_COMPOUND_TERM, 'boost':this.NGRAM_BASED_ON_CAPITALISATION_BOOST, 'freq':fieldWeight, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
+			term.setValue( compoundTermValue );
+			term.ignoreTermFreqCutoff = true;
+			this._setPosition( term, AUTOTAGS._findLastNotAfter( tokenMap.starts, compoundTermIndex ), numberOfTokens, leadSize );
+			this._addOffsets( term, this._getSpan( tokenMap, compoundTermIndex, compoundTermIndex + compoundTermValue.length ), replacements, fieldName );
 
-				// The compound term should not start with a word from the blacklist, I try removing it and see what I'm left with.
-				var compoundTermArray = compoundTermValue.split(' ');
-				if ( this.isInBlackList( compoundTermArray[0] ) ) {
-					compoundTermValue = compoundTermValue.substr( compoundTermValue.indexOf(' ') + 1 );
+			// Adding the candidate to the frequency list
+			frequencyListCapitalisedCompoundTerms.addTerm( term );
+		}
+		
+		var bigrams = textWithBoundaryMarkers.split(' ');
+		
+		// Identifying the phrases of the whitelist in the text, as bigrams or n-grams (even if they contain stopwords or short tokens)
+		var whitelistPhrases = new Object();
+		
+		if ( this.WHITELIST_PHRASE_MATCHING && this.getWhiteList() != undefined ) {
+			var phrases = this._findWhiteListPhrases( bigrams );
+			
+			for ( var i = 0, length = phrases.length; i < length; i++ ) {
+				var phraseTokens = new Array();
+				
+				for ( var p = phrases[i].start; p <= phrases[i].end; p++ ) {
+					if ( bigrams[p].length > 0 ) phraseTokens.push( bigrams[p] );
 				}
 				
-				var term = new AUTOTAGS.Term({ 'termType': AUTOTAGS.TermConstants.TYPE_CAPITALISED_COMPOUND_TERM, 'boost':this.NGRAM_BASED_ON_CAPITALISATION_BOOST });
-				term.setValue( compoundTermValue );
-				term.ignoreTermFreqCutoff = true;
-
+				var isBigram = ( phraseTokens.length == 2 );
+				var term = new AUTOTAGS.Term({ 'termType': isBigram ? AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM : AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM, 'boost':isBigram ? this.BIGRAM_BOOST : this.NGRAM_BOOST, 'freq':fieldWeight, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
+				term.setValue( phraseTokens.join( ' ' ) );
+				term.ignoreTermFreqCutoff = false;
+				this._setPosition( term, phrases[i].start, numberOfTokens, leadSize );
+				this._addOffsets( term, this._getTokenSpan( tokenMap, phrases[i].start, phrases[i].end ), replacements, fieldName );
+				
+				// The bigrams and n-grams found below are not added again
+				whitelistPhrases['_' + phrases[i].start + '_' + phrases[i].end] = true;
+				
 				// Adding the candidate to the frequency list
-				frequencyListCapitalisedCompoundTerms.addTerm( term );
+				( isBigram ? frequencyListSimpleBigramTerms : frequencyListSimpleNGramTerms ).addTerm( term );
 			}
 		}
 		
 		// Identifying bi-grams in the text
-		var bigrams = textWithBoundaryMarkers.split(' ');
-		
 		for ( var i = 0, length = bigrams.length; i < length; i++ ) {
 			var position = i;
 			
 			var token1 = bigrams[position];
 			var token2 = bigrams[position + 1];
-			if ( token1 != undefined && token2 != undefined && (token1.length > 2 && token2.length > 2 ) && this.isInBlackList(token1) == false && this.isInBlackList(token2) == false ) {
+			if ( token1 != undefined && token2 != undefined && (token1.length > 2 && token2.length > 2 ) && this.isInBlackList(token1) == false && this.isInBlackList(token2) == false
+					&& !whitelistPhrases.hasOwnProperty( '_' + position + '_' + ( position + 1 ) ) ) {
 				var bigram = token1 + ' ' + token2;
-				var term = new AUTOTAGS.Term({ 'termType': AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM, 'boost':this.BIGRAM_BOOST });
+				var term = new AUTOTAGS.Term({ 'termType': AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM, 'boost':this.BIGRAM_BOOST, 'freq':fieldWeight, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
 				term.setValue( bigram );
 				term.ignoreTermFreqCutoff = false;
+				this._setPosition( term, position, numberOfTokens, leadSize );
+				this._addOffsets( term, this._getTokenSpan( tokenMap, position, position + 1 ), replacements, fieldName );
 				
 				// Adding the candidate to the frequency list
 				frequencyListSimpleBigramTerms.addTerm( term );
 			}
 		}
-
-
-
-
-		/*
-		*
-		* 2nd Pass (evaluation and scoring of individual and compound terms)
-		*
-		*/
 		
-		var temporaryTagSet = new AUTOTAGS.TagSet();
+		// Identifying n-grams of three or more tokens in the text, made of tokens that could make up bigrams
+		if ( this.MAX_NGRAM_SIZE > 2 ) {
+			for ( var i = 0, length = bigrams.length; i < length; i++ ) {
+				var position = i;
+				var ngramTokens = new Array();
+				
+				for ( var n = 1; n <= this.MAX_NGRAM_SIZE && position + n <= length; n++ ) {
+					var token = bigrams[position + n - 1];
+					
+					// N-grams are not created across boundaries or stopwords
+					if ( token.length <= 2 || this.isInBlackList( token ) ) break;
+					
+					ngramTokens.push( token );
+					if ( n < 3 || whitelistPhrases.hasOwnProperty( '_' + position + '_' + ( position + n - 1 ) ) ) continue;
+					
+					var term = new AUTOTAGS.Term({ 'termType': AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM, 'boost':this.NGRAM_BOOST, 'freq':fieldWeight, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
+					term.setValue( ngramTokens.join( ' ' ) );
+					term.ignoreTermFreqCutoff = false;
+					this._setPosition( term, position, numberOfTokens, leadSize );
+					this._addOffsets( term, this._getTokenSpan( tokenMap, position, position + n - 1 ), replacements, fieldName );
+					
+					// Adding the candidate to the frequency list
+					frequencyListSimpleNGramTerms.addTerm( term );
+				}
+			}
+		}
 		
-		// The order in which the frequency lists are analyzed is important!!!
-		var frequencyLists = [ frequencyListSpecialTerms, frequencyListCapitalisedCompoundTerms, frequencyListSimpleBigramTerms, frequencyListSingleTerms ];
+		// Putting the single term candidates in sequence, breaking it wherever any other token separates them
+		var candidateSequence = new Array();
 		
-		for ( var listId = 0, length = frequencyLists.length; listId < length; listId++ ) {
+		for ( var i = 0, length = bigrams.length; i < length; i++ ) {
+			if ( candidatesByIndex[i] != undefined ) {
+				candidateSequence.push( candidatesByIndex[i] );
+			} else if ( bigrams[i].length > 0 && candidateSequence.length > 0 && candidateSequence[candidateSequence.length - 1] != null ) {
+				candidateSequence.push( null );
+			}
+		}
+		
+		return { 'fieldWeight' : fieldWeight, 'candidates' : candidateSequence };
+	},
+	
+	/*
+	*	Evaluates, scores and orders the candidates in the frequency lists (2nd and 3rd pass)
+	*/
+	_evaluateFrequencyLists : function( frequencyLists, numberOfTagsToReturn ) {
+
+		// Data Structures
+		var frequencyListSingleTerms = frequencyLists.singleTerms;
+		var frequencyListCapitalisedCompoundTerms = frequencyLists.capitalisedCompoundTerms;
+		var frequencyListSimpleBigramTerms = frequencyLists.simpleBigramTerms;
+		var frequencyListSimpleNGramTerms = frequencyLists.simpleNGramTerms;
+		var frequencyListSpecialTerms = frequencyLists.specialTerms;
+		var frequencyListEntityTerms = frequencyLists.entityTerms;
+		
+		// The boosts the terms start out with (only used to explain the scores)
+		var initialBoosts = new Object();
+		initialBoosts[AUTOTAGS.TermConstants.TYPE_SINGLE_TERM] = 'SINGLE_TERM_BOOST';
+		initialBoosts[AUTOTAGS.TermConstants.TYPE_SPECIAL_TERM] = 'SPECIAL_TERM_BOOST';
+		initialBoosts[AUTOTAGS.TermConstants.TYPE_CAPITALISED_COMPOUND_TERM] = 'NGRAM_BASED_ON_CAPITALISATION_BOOST';
+		initialBoosts[AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM] = 'BIGRAM_BOOST';
+		initialBoosts[AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM] = 'NGRAM_BOOST';
+		
+		var entityRecognizers = this._getEntityRecognizers();
+		for ( var i = 0, length = entityRecognizers.length; i < length; i++ ) {
+			initialBoosts[entityRecognizers[i].termType] = 'ENTITY_RECOGNIZERS';
+		}
+		
+		// Choosing the best inflection of each term and applying the inverse document frequencies of the corpus, if any
+		for ( var listName in frequencyLists ) {
+			var terms = frequencyLists[listName].getTerms();
+			for ( var termId in terms ) {
+				terms[termId].setValue( this._chooseInflection( terms[termId] ) );
+				
+				if ( this.CORPUS != null ) {
+					terms[termId].idf = this.CORPUS.getIdf( termId );
+				}
+				
+				if ( this.EXPLAIN ) {
+					terms[termId].explanation = { 'boosts' : [ { 'reason' : initialBoosts[terms[termId].termType], 'factor' : terms[termId].boost } ], 'dropped' : new Array() };
+				}
+			}
+		}
+		
+		// Boosting bigrams that are phrases and downweighting those that are not, if a COLLOCATION_MEASURE is set
+		this._scoreCollocations( frequencyLists );
+		
+		// Dropping the bigrams and n-grams that are only found within longer n-grams
+		this._dropContainedNGrams( frequencyLists );
+
+
+
+
+		/*
+		*
+		* 2nd Pass (evaluation and scoring of individual and compound terms)
+		*
+		*/
+		
+		var temporaryTagSet = new AUTOTAGS.TagSet();
+		
+		// The order in which the frequency lists are analyzed is important!!!
+		var frequencyLists = [ frequencyListEntityTerms, frequencyListSpecialTerms, frequencyListCapitalisedCompoundTerms, frequencyListSimpleNGramTerms, frequencyListSimpleBigramTerms, frequencyListSingleTerms ];
+		
+		for ( var listId = 0, length = frequencyLists.length; listId < length; listId++ ) {
 			var listBeingProcessed = frequencyLists[listId];
 			
 			// Analyzing all terms within the list
@@ -238,7 +930,7 @@ AUTOTAGS.createTagger.prototype = {
 				var term = listBeingProcessed.getTermById( termId );
 				var ignoreTerm = false;
 
-				if ( (term.freq > this.TERM_FREQUENCY_CUTOFF) || (this.isInWhiteList(term.getValue()) || term.ignoreTermFreqCutoff == true) ) {
+				if ( (term.freq > this.TERM_FREQUENCY_CUTOFF) || (this.isInWhiteList(term.getValue()) || term.ignoreTermFreqCutoff == true) || this._isInTaxonomy(term.getValue()) ) {
 				
 					/*
 					* Filtering...removing obvious duplicate terms between across lists and deciding between capitalised
@@ -257,16 +949,18 @@ AUTOTAGS.createTagger.prototype = {
 								var termToLookup = term.getTermId();
 								// I'm maybe being to greedy here - if the special term doesn't exist in it's natural form in the single term list I try stemming it...
 								if ( specialTermLookupList == frequencyListSingleTerms && specialTermLookupList.getTermById( termToLookup ) == undefined) {
-									termToLookup = AUTOTAGS._stemToken(termToLookup);
+									termToLookup = AUTOTAGS._stemToken( termToLookup, this.LANGUAGE, this.getStemCache() );
 								}
 								if ( specialTermLookupList.getTermById( termToLookup ) != undefined ) {
 									var specialTermInList = specialTermLookupList.getTermById( termToLookup );
 									// If a more frequent or higher scoring variant of the special term is found in one of the other lists then ignore this one
 									if ( specialTermInList.getScore() > term.getScore() ) {
+										specialTermInList.addDroppedCandidate( term, 'scored lower as a special term' );
 										ignoreTerm = true;
 										continue;
 									} else {
 										// The special term is more frequent or higher scoring...so delete from the other list
+										term.addDroppedCandidate( specialTermInList, 'scored at most as high as the special term' );
 										specialTermLookupList.deleteTermById( termToLookup );
 									}
 								}
@@ -279,7 +973,9 @@ AUTOTAGS.createTagger.prototype = {
 						* bigrams and therefore we should consider which frequency number to use, since there clearly might be more instances if
 						* we ignore case.
 						*/
-						var bigram = frequencyListSimpleBigramTerms.getTermById( term.getTermId() );
+						// Compound terms of three or more tokens are looked up among the n-grams instead
+						var bigramList = ( frequencyListSimpleBigramTerms.getTermById( term.getTermId() ) != undefined ) ? frequencyListSimpleBigramTerms : frequencyListSimpleNGramTerms;
+						var bigram = bigramList.getTermById( term.getTermId() );
 						
 						if ( bigram != undefined ) {
 							// The capitalised compound term exists as a bigram
@@ -287,11 +983,13 @@ AUTOTAGS.createTagger.prototype = {
 								// There are more bigram variants than compound ones. I will therefore ignore the compound one since
 								// it may e.g. have been capitalised in a title.
 								// Adding a boost to the upcoming bigram variant since it's clearly more than just a normal bigram
-								bigram.addBoost( this.CAPITALIZATION_BOOST );
+								bigram.addBoost( this.CAPITALIZATION_BOOST, 'CAPITALIZATION_BOOST' );
+								bigram.addDroppedCandidate( term, 'capitalised less often than not' );
 								ignoreTerm = true;
 							} else {
 								// There is an equal or less number of bigrams, therefore I remove the bigram and go with the capitalised variant
-								frequencyListSimpleBigramTerms.deleteTermById( term.getTermId() );
+								term.addDroppedCandidate( bigram, 'capitalised at least as often as not' );
+								bigramList.deleteTermById( term.getTermId() );
 							}
 						}
 						
@@ -299,9 +997,11 @@ AUTOTAGS.createTagger.prototype = {
 						var simpleTerm = frequencyListSingleTerms.getTermById( term.getTermId() );
 						if ( !ignoreTerm && simpleTerm != undefined ) {
 							if ( simpleTerm.getScore() > term.getScore() ) {
-								simpleTerm.addBoost( this.CAPITALIZATION_BOOST );
+								simpleTerm.addBoost( this.CAPITALIZATION_BOOST, 'CAPITALIZATION_BOOST' );
+								simpleTerm.addDroppedCandidate( term, 'scored lower than the single term' );
 								ignoreTerm = true;
 							} else {
+								term.addDroppedCandidate( simpleTerm, 'scored at most as high as the capitalised compound term' );
 								frequencyListSingleTerms.deleteTermById( term.getTermId() );
 							}
 						}
@@ -312,15 +1012,15 @@ AUTOTAGS.createTagger.prototype = {
 					*/
 				
 					// Term is in the whitelist
-					if ( this.isInWhiteList( term.getValue() ) ) term.addBoost( this.WHITE_LIST_BOOST );
+					if ( this.isInWhiteList( term.getValue() ) ) term.addBoost( this.WHITE_LIST_BOOST, 'WHITE_LIST_BOOST' );
 					if ( !term.isCompoundTerm() ) {
 						// Term is capitalized
 						if ( term.getValue().substring(0,1).toUpperCase() == term.getValue().substring(0,1) ) {
-							term.addBoost( this.CAPITALIZATION_BOOST );
+							term.addBoost( this.CAPITALIZATION_BOOST, 'CAPITALIZATION_BOOST' );
 						}
 						// Term is all in caps (double boost)
 						if ( term.getValue().toUpperCase() == term.getValue() ) {
-							term.addBoost( this.CAPITALIZATION_BOOST );
+							term.addBoost( this.CAPITALIZATION_BOOST, 'CAPITALIZATION_BOOST' );
 						}
 					}
 				
@@ -352,47 +1052,54 @@ AUTOTAGS.createTagger.prototype = {
 		// Final TagSet to be returned
 		var tagSetToBeReturned = new AUTOTAGS.TagSet();
 		
-		// This array will hold bigrams of the detected compound terms for quick lookup when general bigrams are detected
+		// This array will hold bigrams (and shorter n-grams) of the detected compound terms and n-grams for quick lookup when general bigrams are detected
 		var temporaryBigramArrayOfCapitalizedNGrams = new Array();
 		var temporaryArrayOfSplitBigrams = new Array();
 		
-		for ( t in temporaryTagSet.tags ) {
+		for ( var t in temporaryTagSet.tags ) {
 			var term = temporaryTagSet.tags[t];
 			
 			if ( term.termType == AUTOTAGS.TermConstants.TYPE_CAPITALISED_COMPOUND_TERM ) {
 				// Checking if term is TYPE_CAPITALISED_COMPOUND_TERM
 				// Adding a bigram of it to a temporary array
-				temporaryBigramArrayOfCapitalizedNGrams = temporaryBigramArrayOfCapitalizedNGrams.concat( this._toBigramArray( term.getValue().toLowerCase() ) );
+				temporaryBigramArrayOfCapitalizedNGrams = temporaryBigramArrayOfCapitalizedNGrams.concat( this._toNGramArray( term.getValue().toLowerCase(), Math.max( 2, this.MAX_NGRAM_SIZE ) ) );
 				// Adding compound term components to a separate array to downweight single terms found within a 
 				// higher scoring compound term
 				var capitalisedCompoundTermComponents = term.getValue().toLowerCase().split(' ');
 				
-				for ( t in capitalisedCompoundTermComponents ) {
-					var tokenToAdd = capitalisedCompoundTermComponents[t];
+				for ( var c in capitalisedCompoundTermComponents ) {
+					var tokenToAdd = capitalisedCompoundTermComponents[c];
 					
 					if ( AUTOTAGS.APPLY_STEMMING ) {
-						tokenToAdd = AUTOTAGS._stemToken( tokenToAdd );
+						tokenToAdd = AUTOTAGS._stemToken( tokenToAdd, this.LANGUAGE, this.getStemCache() );
 					}
 					
 					temporaryArrayOfSplitBigrams.push( tokenToAdd );
 				}
-			} else if ( term.termType == AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM ) {
+			} else if ( term.termType == AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM || term.termType == AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM ) {
 				// If this bigram exists in the array of 'bigrams made from capitalised compound terms' it means that 
 				// the capitalised compound term is higher scoring (since it went before) and therefore should the simple
 				// bigram which is	contained wholly within the capitalised compound term be downweighted.
+				// The same goes for bigrams and n-grams contained within a higher scoring n-gram.
 				if ( AUTOTAGS._arrayContains( temporaryBigramArrayOfCapitalizedNGrams, term.getValue().toLowerCase() ) ) {
-					term.addBoost( this.BIGRAM_ALREADY_DETECTED_BOOST );
+					term.addBoost( this.BIGRAM_ALREADY_DETECTED_BOOST, 'BIGRAM_ALREADY_DETECTED_BOOST' );
+				}
+				
+				// Adding the shorter phrases within an n-gram, so that they are downweighted if they score lower
+				if ( term.termType == AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM ) {
+					var ngramLength = term.getValue().split(' ').length;
+					temporaryBigramArrayOfCapitalizedNGrams = temporaryBigramArrayOfCapitalizedNGrams.concat( this._toNGramArray( term.getValue().toLowerCase(), ngramLength - 1 ) );
 				}
 				
 				// Adding bigram components to a separate array to downweight single terms found within a 
 				// higher scoring bigram
 				var bigramComponents = term.getValue().toLowerCase().split(' ');
 				
-				for ( t in bigramComponents ) {
-					var bigramTokenToAdd = bigramComponents[t];
+				for ( var b in bigramComponents ) {
+					var bigramTokenToAdd = bigramComponents[b];
 					
 					if ( AUTOTAGS.APPLY_STEMMING ) {
-						bigramTokenToAdd = AUTOTAGS._stemToken( bigramTokenToAdd );
+						bigramTokenToAdd = AUTOTAGS._stemToken( bigramTokenToAdd, this.LANGUAGE, this.getStemCache() );
 					}
 					
 					temporaryArrayOfSplitBigrams.push( bigramTokenToAdd );
@@ -403,9 +1110,9 @@ AUTOTAGS.createTagger.prototype = {
 				// If it is found in the temporary array of split bigrams it means that it has a lower score
 				// since the bigram was processed before it.
 				var termValue = term.getValue();
-				if ( AUTOTAGS.APPLY_STEMMING ) termValue = AUTOTAGS._stemToken(termValue);
+				if ( AUTOTAGS.APPLY_STEMMING ) termValue = AUTOTAGS._stemToken( termValue, this.LANGUAGE, this.getStemCache() );
 				if ( AUTOTAGS._arrayContains( temporaryArrayOfSplitBigrams, termValue ) ) {
-					term.addBoost( this.TERM_FROM_COMPOUND_DOWNWEIGHT );
+					term.addBoost( this.TERM_FROM_COMPOUND_DOWNWEIGHT, 'TERM_FROM_COMPOUND_DOWNWEIGHT' );
 				}
 			}
 			
@@ -426,194 +1133,1473 @@ AUTOTAGS.createTagger.prototype = {
 		
 		// Slicing out top tags to return
 		tagSetToBeReturned.tags = tagSetToBeReturned.tags.slice( 0, numberOfTagsToReturn );	
+		tagSetToBeReturned.addAllTags( this.getAssociatedTags( tagSetToBeReturned.tags ) );
 		tagSetToBeReturned.addAllTags( this.getTagConstants() );
 		
-		// Done
-		this._setAlgorithmTime( new Date().getTime() - startTime );
-		
 		return tagSetToBeReturned;
 	},
 	
-	getTagConstants : function() {
-		if ( this.tagConstants != undefined ) {
-			return this.tagConstants;
-		} else {
-			this.tagConstants = new Array();
+	/*
+	*	Ranks the single terms by their centrality (TextRank) in a graph linking words found within TEXTRANK_WINDOW
+	*	candidates of each other, instead of by their frequency, which is of little use in short texts. Adjacent
+	*	words among the top third are then merged into phrases, which rank as the sum of their words. The special terms
+	*	and capitalised compound terms are not used, and the boosts of the frequency ranking are not applied, except
+	*	for the WHITE_LIST_BOOST and the downweighting of terms found within a higher ranking phrase.
+	*/
+	_rankByTextRank : function( frequencyLists, candidateSequences, numberOfTagsToReturn ) {
+		var frequencyListSingleTerms = frequencyLists.singleTerms;
+		var singleTerms = frequencyListSingleTerms.getTerms();
+		var graph = new Object();
+		var termIds = new Array();
+		
+		for ( var termId in singleTerms ) {
+			graph[termId] = { 'edges' : new Object(), 'weight' : 0, 'rank' : 1 };
+			termIds.push( termId );
+		}
+		
+		// Linking words found within the window, weighted by the fields they are found in
+		for ( var s = 0, numberOfSequences = candidateSequences.length; s < numberOfSequences; s++ ) {
+			var words = new Array();
+			var candidates = candidateSequences[s].candidates;
 			
-			if ( AUTOTAGS.TAG_CONSTANTS != undefined ) {
-				for ( var i = 0, length = AUTOTAGS.TAG_CONSTANTS.length; i < length; i++ ) {
-					var constant = new AUTOTAGS.Term({'termType':AUTOTAGS.TermConstants.TYPE_TAG_CONSTANT});
-					constant.setValue(AUTOTAGS.TAG_CONSTANTS[i]);
-					this.tagConstants.push( constant );
+			for ( var c = 0, length = candidates.length; c < length; c++ ) {
+				if ( candidates[c] != null ) words.push( candidates[c].termId );
+			}
+			
+			for ( var i = 0, length = words.length; i < length; i++ ) {
+				for ( var j = i + 1; j < i + this.TEXTRANK_WINDOW && j < length; j++ ) {
+					if ( words[i] == words[j] ) continue;
+					
+					var edges = graph[words[i]].edges;
+					edges[words[j]] = ( edges[words[j]] || 0 ) + candidateSequences[s].fieldWeight;
+					edges = graph[words[j]].edges;
+					edges[words[i]] = ( edges[words[i]] || 0 ) + candidateSequences[s].fieldWeight;
+					graph[words[i]].weight += candidateSequences[s].fieldWeight;
+					graph[words[j]].weight += candidateSequences[s].fieldWeight;
+				}
+			}
+		}
+		
+		// Ranking the words until the ranks no longer change
+		for ( var iteration = 0; iteration < this.TEXTRANK_ITERATIONS; iteration++ ) {
+			var largestChange = 0;
+			
+			for ( var i = 0, length = termIds.length; i < length; i++ ) {
+				var node = graph[termIds[i]];
+				var sum = 0;
+				
+				for ( var neighbour in node.edges ) {
+					sum += node.edges[neighbour] / graph[neighbour].weight * graph[neighbour].rank;
 				}
+				
+				var rank = ( 1 - this.TEXTRANK_DAMPING ) + this.TEXTRANK_DAMPING * sum;
+				largestChange = Math.max( largestChange, Math.abs( rank - node.rank ) );
+				node.rank = rank;
 			}
 			
-			return this.tagConstants;
+			if ( largestChange < this.TEXTRANK_CONVERGENCE ) break;
 		}
-	},
-	
-	_toBigramArray : function( compoundTerm ) {
-		var bigramArray = new Array();
 		
-		var splitTerm = compoundTerm.split( ' ' );
+		var temporaryTagSet = new AUTOTAGS.TagSet();
 		
-		for ( var i = 0, length = splitTerm.length; i < length; i++ ) {
-			var position = i;
-
-			var token1 = splitTerm[position];
-			var token2 = splitTerm[position + 1];
-
-			if ( token1 != undefined && token2 != undefined ) {
-				bigramArray.push( token1 + ' ' + token2 );
+		for ( var i = 0, length = termIds.length; i < length; i++ ) {
+			var term = singleTerms[termIds[i]];
+			
+			term.setValue( this._chooseInflection( term ) );
+			term.rank = graph[termIds[i]].rank;
+			term.boost = 1;
+			if ( this.CORPUS != null ) term.idf = this.CORPUS.getIdf( termIds[i] );
+			if ( this.EXPLAIN ) term.explanation = { 'boosts' : new Array(), 'dropped' : new Array() };
+			
+			temporaryTagSet.addTag( term );
+		}
+		
+		// Merging runs of adjacent words among the top third into phrases
+		temporaryTagSet.sortByScore();
+		
+		var topWords = new Object();
+		for ( var i = 0, length = Math.ceil( termIds.length / 3 ); i < length; i++ ) {
+			topWords[temporaryTagSet.tags[i].getTermId()] = true;
+		}
+		
+		var phrases = new AUTOTAGS.FrequencyList();
+		
+		for ( var s = 0, numberOfSequences = candidateSequences.length; s < numberOfSequences; s++ ) {
+			var candidates = candidateSequences[s].candidates;
+			var run = new Array();
+			
+			for ( var c = 0, length = candidates.length; c <= length; c++ ) {
+				var candidate = candidates[c];
+				
+				if ( candidate != null && topWords[candidate.termId] == true ) {
+					run.push( candidate );
+					continue;
+				}
+				
+				if ( run.length > 1 ) {
+					phrases.addTerm( this._createTextRankPhrase( run, singleTerms, candidateSequences[s].fieldWeight ) );
+				}
+				run = new Array();
 			}
 		}
 		
-		return bigramArray;
-	},
-	
-	isInWhiteList : function( term ) {
-		// Whitelist lookup with caching
-		// In case the same words are prevalent in the text I can avoid looking them up again
-		if ( this.whitelistCache['_' + term] != undefined ) {
-			return this.whitelistCache['_' + term];
-		} else {
-			try {
-				var inWhiteList = false;
-				if ( AUTOTAGS.WHITELIST != undefined ) {
-					inWhiteList = AUTOTAGS._arrayContains( AUTOTAGS.WHITELIST, term.toLowerCase() );
-					this.whitelistCache['_' + term] = inWhiteList;
+		for ( var termId in phrases.getTerms() ) {
+			var phrase = phrases.getTermById( termId );
+			
+			phrase.setValue( this._chooseInflection( phrase ) );
+			if ( this.CORPUS != null ) phrase.idf = this.CORPUS.getIdf( termId );
+			if ( this.EXPLAIN ) phrase.explanation = { 'boosts' : new Array(), 'dropped' : new Array() };
+			
+			temporaryTagSet.addTag( phrase );
+		}
+		
+		temporaryTagSet.sortByScore();
+		
+		// Final TagSet to be returned
+		var tagSetToBeReturned = new AUTOTAGS.TagSet();
+		
+		// Phrases and words within higher ranking phrases, as in the 3rd pass of the frequency ranking
+		var temporaryArrayOfPhrases = new Array();
+		var temporaryArrayOfPhraseComponents = new Array();
+		
+		for ( var t = 0, length = temporaryTagSet.tags.length; t < length; t++ ) {
+			var term = temporaryTagSet.tags[t];
+			
+			if ( this.isInWhiteList( term.getValue() ) ) term.addBoost( this.WHITE_LIST_BOOST, 'WHITE_LIST_BOOST' );
+			
+			if ( term.isCompoundTerm() ) {
+				if ( AUTOTAGS._arrayContains( temporaryArrayOfPhrases, term.getValue().toLowerCase() ) ) {
+					term.addBoost( this.BIGRAM_ALREADY_DETECTED_BOOST, 'BIGRAM_ALREADY_DETECTED_BOOST' );
 				}
-				return inWhiteList;
-			} catch ( e ) {
-				return false;
+				
+				var phraseComponents = term.getValue().toLowerCase().split(' ');
+				temporaryArrayOfPhrases = temporaryArrayOfPhrases.concat( this._toNGramArray( term.getValue().toLowerCase(), phraseComponents.length - 1 ) );
+				
+				for ( var c = 0, numberOfComponents = phraseComponents.length; c < numberOfComponents; c++ ) {
+					temporaryArrayOfPhraseComponents.push( this._getSingleTermId( phraseComponents[c] ) );
+				}
+			} else if ( AUTOTAGS._arrayContains( temporaryArrayOfPhraseComponents, term.getTermId() ) ) {
+				term.addBoost( this.TERM_FROM_COMPOUND_DOWNWEIGHT, 'TERM_FROM_COMPOUND_DOWNWEIGHT' );
+			}
+			
+			// Lowercasing the word if specified by the LOWERCASE parameter
+			if ( this.LOWERCASE ) {
+				term.setValue( term.getValue().toLowerCase() );
+			}
+			
+			if ( this.COMPOUND_TAG_SEPARATOR != AUTOTAGS.DEFAULT_COMPOUND_TAG_SEPARATOR ) {
+				term.setValue( term.getValue().replace( / /g, this.COMPOUND_TAG_SEPARATOR ) );
+			}
+			
+			if ( term.getScore() > this.SCORE_CUTOFF ) {
+				tagSetToBeReturned.addTag( term );
 			}
 		}
+		
+		// Sorting the TagSet array by score
+		tagSetToBeReturned.sortByScore();
+		
+		// Slicing out top tags to return
+		tagSetToBeReturned.tags = tagSetToBeReturned.tags.slice( 0, numberOfTagsToReturn );
+		tagSetToBeReturned.addAllTags( this.getAssociatedTags( tagSetToBeReturned.tags ) );
+		tagSetToBeReturned.addAllTags( this.getTagConstants() );
+		
+		return tagSetToBeReturned;
 	},
-
-	isInBlackList : function( term ) {
-		if ( term != AUTOTAGS.BOUNDARY && ( AUTOTAGS.BLACKLIST != undefined && AUTOTAGS.BLACKLIST[term.toLowerCase()] != true ) ) {
-			return false;
-		} else {
-			return true;
+	
+	/*
+	*	Creates a phrase (one occurrence) from a run of adjacent candidates, see _rankByTextRank
+	*/
+	_createTextRankPhrase : function( run, singleTerms, fieldWeight ) {
+		var termType = ( run.length == 2 ) ? AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM : AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM;
+		var phrase = new AUTOTAGS.Term({ 'termType':termType, 'freq':fieldWeight, 'rank':0, 'language':this.LANGUAGE, 'stemCache':this.getStemCache() });
+		var words = new Array();
+		
+		for ( var i = 0, length = run.length; i < length; i++ ) {
+			var word = singleTerms[run[i].termId];
+			
+			words.push( word.getValue() );
+			phrase.rank += word.rank;
+			phrase.positionBoost = Math.max( phrase.positionBoost, word.positionBoost );
+		}
+		
+		phrase.setValue( words.join( ' ' ) );
+		phrase.positions.push( run[0].position );
+		if ( run[0].offsets != null && run[run.length - 1].offsets != null ) {
+			phrase.offsets.push( { 'field' : run[0].offsets.field, 'start' : run[0].offsets.start, 'end' : run[run.length - 1].offsets.end } );
 		}
+		
+		return phrase;
 	},
 	
-	_getStopWordRegExpression : function() {
-		var blacklistExpression = AUTOTAGS.BOUNDARY;
+	/*
+	*	Maps the tags to the nodes of the TAXONOMY they match, returning the nodes as TYPE_TAXONOMY_TERMs (with the labels
+	*	as they are in the taxonomy). A node scores the sum of the scores of the tags matching it, each weighted by the
+	*	confidence of the match (see AUTOTAGS.TAXONOMY_MATCH_CONFIDENCES), and if TAXONOMY_ROLL_UP is set its ancestors
+	*	score TAXONOMY_ROLL_UP_WEIGHT of that for each level up. The confidence of a node is the mean of the confidences
+	*	of its matches (and of the narrower nodes rolled up to it), weighted by the score each added to the node, scaled
+	*	by how its score compares to the score of the best tag.
+	*/
+	_mapToTaxonomy : function( tagSet, numberOfTagsToReturn ) {
+		var tagger = this;
+		var tags = tagSet.getTags();
+		var matchedNodes = new Object();
+		var nodeIds = new Array();
+		var highestScore = 0;
+		var getConfidence = function( matchedNode ) {
+			return ( matchedNode.score > 0 ) ? matchedNode.weightedConfidence / matchedNode.score : 0;
+		};
+		var reasons = { 'exact' : 'matched the label of the node', 'alias' : 'matched an alias of the node', 'stemmed' : 'matched the node when stemmed' };
 		
-		// Adding all blacklist terms
-		if ( AUTOTAGS.BLACKLIST != undefined ) {
-			for ( var term in AUTOTAGS.BLACKLIST ) {
-				blacklistExpression += '|' + term;
+		var addToNode = function( node, term, score, confidence, reason ) {
+			var matchedNode = matchedNodes['_' + node.id];
+			
+			if ( matchedNode == undefined ) {
+				var nodeTerm = new AUTOTAGS.Term({ 'termType' : AUTOTAGS.TermConstants.TYPE_TAXONOMY_TERM, 'freq' : 0, 'language' : tagger.LANGUAGE, 'stemCache' : tagger.getStemCache() });
+				nodeTerm.setValue( node.label );
+				nodeTerm.taxonomyId = node.id;
+				if ( tagger.EXPLAIN ) nodeTerm.explanation = { 'boosts' : new Array(), 'dropped' : new Array() };
+				
+				matchedNode = matchedNodes['_' + node.id] = { 'term' : nodeTerm, 'score' : 0, 'weightedConfidence' : 0 };
+				nodeIds.push( node.id );
+			}
+			
+			matchedNode.term.freq += term.freq;
+			matchedNode.score += score;
+			matchedNode.weightedConfidence += score * confidence;
+			matchedNode.term.addDroppedCandidate( term, reason );
+			
+			return matchedNode;
+		};
+		
+		for ( var i = 0, length = tags.length; i < length; i++ ) {
+			var tag = tags[i];
+			var value = tag.getValue();
+			
+			highestScore = Math.max( highestScore, tag.getScore() );
+			
+			if ( this.COMPOUND_TAG_SEPARATOR != AUTOTAGS.DEFAULT_COMPOUND_TAG_SEPARATOR ) {
+				value = value.split( this.COMPOUND_TAG_SEPARATOR ).join( AUTOTAGS.DEFAULT_COMPOUND_TAG_SEPARATOR );
+			}
+			
+			var match = this.TAXONOMY.match( value, this.LANGUAGE );
+			
+			if ( match != null ) {
+				var matchedNode = addToNode( match.node, tag, tag.getScore() * match.confidence, match.confidence, reasons[match.matchType] );
+				matchedNode.term.positions = matchedNode.term.positions.concat( tag.positions );
+				matchedNode.term.offsets = matchedNode.term.offsets.concat( tag.offsets );
 			}
 		}
-
-		if ( this.REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS ) {
-			return new RegExp( '\\s((' + this.SHORT_NUMBERS_EXPRESSION + '|' + blacklistExpression + ')\\s)+', 'gi' );
-		} else {
-			return new RegExp( '\\s((' + blacklistExpression + ')\\s)+', 'gi' );
+		
+		// Rolling the nodes matched up to their ancestors
+		if ( this.TAXONOMY_ROLL_UP ) {
+			var directlyMatchedNodes = new Array();
+			
+			for ( var i = 0, length = nodeIds.length; i < length; i++ ) {
+				var matchedNode = matchedNodes['_' + nodeIds[i]];
+				directlyMatchedNodes.push( { 'id' : nodeIds[i], 'term' : matchedNode.term, 'score' : matchedNode.score, 'confidence' : getConfidence( matchedNode ) } );
+			}
+			
+			for ( var i = 0, length = directlyMatchedNodes.length; i < length; i++ ) {
+				var directlyMatchedNode = directlyMatchedNodes[i];
+				var ancestors = this.TAXONOMY.getAncestors( directlyMatchedNode.id );
+				var weight = 1;
+				
+				for ( var a = 0, numberOfAncestors = ancestors.length; a < numberOfAncestors; a++ ) {
+					weight *= this.TAXONOMY_ROLL_UP_WEIGHT;
+					addToNode( ancestors[a], directlyMatchedNode.term, directlyMatchedNode.score * weight, directlyMatchedNode.confidence, 'rolled up from a narrower node' );
+				}
+			}
 		}
-	},
 		
-	getAlgorithmTime : function() {
-		return this.algorithmTime;
-	},
-	
-	_setAlgorithmTime : function( timeInMilliseconds ) {
-		this.algorithmTime = timeInMilliseconds;
-	}
-};
-
-
-
-
-/*
-*
-*	Term Business Object
-*
-*/
-AUTOTAGS.TermConstants = {
-	'TYPE_SINGLE_TERM' : 'TYPE_SINGLE_TERM',
-	'TYPE_CAPITALISED_COMPOUND_TERM' : 'TYPE_CAPITALISED_COMPOUND_TERM',
-	'TYPE_SIMPLE_BIGRAM_TERM' : 'TYPE_SIMPLE_BIGRAM_TERM',
-	'TYPE_SPECIAL_TERM' : 'TYPE_SPECIAL_TERM',
-	'TYPE_TAG_CONSTANT' : 'TYPE_TAG_CONSTANT'
-};
-
-AUTOTAGS.Term = function( parameters ) {
-	// Fields
-	this._termId = '';
-	this._term = '';
-	this.termType = AUTOTAGS.TermConstants.TYPE_SINGLE_TERM;
-	this.freq = 1;
-	this.ignoreTermFreqCutoff = false;
-	this.score = 0;
-	this.boost = 1;
-	
-	if ( typeof parameters != 'undefined' ) {
-		for ( var property in parameters ) {
-			if( typeof this[property] != 'undefined' ) {
-				this[property] = parameters[property];
+		var tagSetToBeReturned = new AUTOTAGS.TagSet();
+		
+		for ( var i = 0, length = nodeIds.length; i < length; i++ ) {
+			var matchedNode = matchedNodes['_' + nodeIds[i]];
+			var term = matchedNode.term;
+			
+			term.addBoost( ( term.freq > 0 ) ? matchedNode.score / term.freq : 0, 'TAXONOMY' );
+			term.confidence = getConfidence( matchedNode ) * ( ( highestScore > 0 ) ? Math.min( 1, matchedNode.score / highestScore ) : 0 );
+			
+			if ( term.confidence >= this.TAXONOMY_MIN_CONFIDENCE && term.getScore() > this.SCORE_CUTOFF ) {
+				tagSetToBeReturned.addTag( term );
 			}
 		}
-	}
-};
-
-AUTOTAGS.Term.prototype = {
-	addBoost : function( boostFactor ) {
-		this.boost *= boostFactor;
-	},
-
-	incrementFrequency : function() {
-		this.freq++;
-	},
-	
-	getScore : function() {
-		this.score = this.freq*this.boost;
 		
-		return this.score;
+		tagSetToBeReturned.sortByScore();
+		tagSetToBeReturned.tags = tagSetToBeReturned.tags.slice( 0, numberOfTagsToReturn );
+		
+		return tagSetToBeReturned;
 	},
 	
-	getValue : function() {
-		return this._term;
+	/*
+	*	Scores the bigrams with the COLLOCATION_MEASURE, based on the number of times the bigrams and their tokens
+	*	(as single terms) were found among all the single terms found, applying the COLLOCATION_BOOST to those that
+	*	reach the threshold and the COLLOCATION_DOWNWEIGHT to those that do not but were found at least
+	*	COLLOCATION_MIN_FREQUENCY times. The counts are used rather than the frequencies as those are field weighted.
+	*/
+	_scoreCollocations : function( frequencyLists ) {
+		var measure = this.COLLOCATION_MEASURE;
+		var threshold = this.COLLOCATION_THRESHOLD;
+		
+		if ( typeof measure != 'function' ) {
+			if ( threshold == null ) threshold = AUTOTAGS.COLLOCATION_THRESHOLDS[measure];
+			measure = AUTOTAGS.COLLOCATION_MEASURES[measure];
+		}
+		if ( measure == undefined ) return;
+		if ( threshold == undefined ) threshold = 0;
+		
+		var singleTerms = frequencyLists.singleTerms.getTerms();
+		var bigrams = frequencyLists.simpleBigramTerms.getTerms();
+		var numberOfTokens = 0;
+		
+		for ( var termId in singleTerms ) {
+			numberOfTokens += singleTerms[termId].positions.length;
+		}
+		
+		for ( var termId in bigrams ) {
+			var bigram = bigrams[termId];
+			var tokens = bigram.getValue().toLowerCase().split( ' ' );
+			var token1 = singleTerms[this._getSingleTermId( tokens[0] )];
+			var token2 = singleTerms[this._getSingleTermId( tokens[1] )];
+			
+			if ( token1 == undefined || token2 == undefined ) continue;
+			
+			bigram.collocationScore = measure( bigram.positions.length, token1.positions.length, token2.positions.length, numberOfTokens );
+			
+			if ( bigram.collocationScore >= threshold ) {
+				bigram.addBoost( this.COLLOCATION_BOOST, 'COLLOCATION_BOOST' );
+			} else if ( bigram.positions.length >= this.COLLOCATION_MIN_FREQUENCY ) {
+				bigram.addBoost( this.COLLOCATION_DOWNWEIGHT, 'COLLOCATION_DOWNWEIGHT' );
+			}
+		}
 	},
 	
-	setValue : function( value ) {
-		this._term = value;
-		this._setTermId(value);
+	/*
+	*	Drops the bigrams and n-grams that occur no more often than a longer n-gram they are part of, as the
+	*	bigrams that are capitalised compound terms at least as often are dropped (they never occur on their own)
+	*/
+	_dropContainedNGrams : function( frequencyLists ) {
+		var ngrams = frequencyLists.simpleNGramTerms.getTerms();
+		
+		for ( var termId in ngrams ) {
+			var ngram = ngrams[termId];
+			var tokens = ngram.getValue().toLowerCase().split( ' ' );
+			var containedNGrams = this._toNGramArray( ngram.getValue().toLowerCase(), tokens.length - 1 );
+			
+			for ( var i = 0, length = containedNGrams.length; i < length; i++ ) {
+				var containedNGramId = '_' + containedNGrams[i];
+				var list = ( containedNGrams[i].split( ' ' ).length == 2 ) ? frequencyLists.simpleBigramTerms : frequencyLists.simpleNGramTerms;
+				var containedNGram = list.getTermById( containedNGramId );
+				
+				if ( containedNGram != undefined && containedNGram.freq <= ngram.freq ) {
+					ngram.addDroppedCandidate( containedNGram, 'only found within the longer n-gram' );
+					list.deleteTermById( containedNGramId );
+				}
+			}
+		}
 	},
 	
-	getTermId : function() {
-		return this._termId;
+	/*
+	*	Returns the id the token has as a single term (see Term._setTermId)
+	*/
+	_getSingleTermId : function( token ) {
+		return '_' + ( AUTOTAGS.APPLY_STEMMING ? AUTOTAGS._stemToken( token, this.LANGUAGE, this.getStemCache() ) : token.toLowerCase() );
 	},
 	
-	_setTermId : function( value ) {
-		// If this is a single token and stemming should be applied then modify the termID
+	getTagConstants : function() {
+		var tagConstantValues = this.getTagConstantValues();
+		
+		// The tag constants are cached for as long as the same list is used
+		if ( this.tagConstants != undefined && this.tagConstantsSource === tagConstantValues ) {
+			return this.tagConstants;
+		} else {
+			this.tagConstants = new Array();
+			this.tagConstantsSource = tagConstantValues;
+			
+			if ( tagConstantValues != undefined ) {
+				for ( var i = 0, length = tagConstantValues.length; i < length; i++ ) {
+					var constant = new AUTOTAGS.Term({'termType':AUTOTAGS.TermConstants.TYPE_TAG_CONSTANT, 'stemCache':this.getStemCache()});
+					constant.setValue(tagConstantValues[i]);
+					this.tagConstants.push( constant );
+				}
+			}
+			
+			return this.tagConstants;
+		}
+	},
+	
+	/*
+	*	Returns the values of the tag constants of the tagger, falling back to AUTOTAGS.TAG_CONSTANTS
+	*/
+	getTagConstantValues : function() {
+		return ( this.TAG_CONSTANTS != null ) ? this.TAG_CONSTANTS : AUTOTAGS.TAG_CONSTANTS;
+	},
+	
+	addTagConstants : function( values ) {
+		this.TAG_CONSTANTS = AUTOTAGS._arrayWith( this.getTagConstantValues(), values );
+	},
+	
+	removeTagConstants : function( values ) {
+		this.TAG_CONSTANTS = AUTOTAGS._arrayWithout( this.getTagConstantValues(), values );
+	},
+	
+	/*
+	*	Returns the tags associated with the given tags (that are not already among them), ordered by score.
+	*	Each associated tag records the tags that triggered it.
+	*/
+	getAssociatedTags : function( tags ) {
+		var associations = ( this.ASSOCIATIONS != null ) ? this.ASSOCIATIONS : AUTOTAGS.ASSOCIATIONS;
+		var associatedTagSet = new AUTOTAGS.TagSet();
+		
+		if ( associations == undefined ) {
+			return associatedTagSet.getTags();
+		}
+		
+		var existingTags = new Object();
+		var associatedTags = new Object();
+		
+		for ( var i = 0, length = tags.length; i < length; i++ ) {
+			existingTags['_' + tags[i].getValue().toLowerCase()] = true;
+		}
+		
+		for ( var i = 0, length = tags.length; i < length; i++ ) {
+			var tag = tags[i];
+			var tagValue = tag.getValue().toLowerCase().split( this.COMPOUND_TAG_SEPARATOR ).join( ' ' );
+			if ( !associations.hasOwnProperty( tagValue ) ) continue;
+			
+			var associatedValues = associations[tagValue];
+			
+			for ( var a = 0, associatedLength = associatedValues.length; a < associatedLength; a++ ) {
+				var associatedValue = associatedValues[a].replace( / /g, this.COMPOUND_TAG_SEPARATOR );
+				var key = '_' + associatedValue.toLowerCase();
+				var associatedScore = tag.getScore() * this.ASSOCIATED_TERM_BOOST;
+				
+				if ( existingTags[key] == true ) continue;
+				
+				var associatedTag = associatedTags[key];
+				if ( associatedTag == undefined ) {
+					associatedTag = new AUTOTAGS.Term({ 'termType':AUTOTAGS.TermConstants.TYPE_ASSOCIATED_TERM, 'boost':associatedScore, 'stemCache':this.getStemCache() });
+					associatedTag.setValue( associatedValue );
+					associatedTags[key] = associatedTag;
+					associatedTagSet.addTag( associatedTag );
+				} else if ( associatedScore > associatedTag.boost ) {
+					// The tag is associated with more than one tag, it gets the score of the strongest association
+					associatedTag.boost = associatedScore;
+				}
+				
+				associatedTag.triggeredBy.push( tag.getValue() );
+			}
+		}
+		
+		associatedTagSet.sortByScore();
+		
+		return associatedTagSet.getTags();
+	},
+	
+	/*
+	*	Chooses which of the variants (surface forms sharing the same term id) of a term to use as its value
+	*/
+	_chooseInflection : function( term ) {
+		var variants = term.getVariants();
+		var policy = this.INFLECTION_POLICY;
+		if ( typeof policy != 'function' ) policy = AUTOTAGS.INFLECTION_POLICIES[policy];
+		
+		if ( variants.length == 0 || policy == undefined ) {
+			return term.getValue();
+		}
+		
+		return policy( variants, this );
+	},
+	
+	/*
+	*	Returns the entity recognizers to run, in order: those of AUTOTAGS.ENTITY_RECOGNIZERS enabled (or replaced)
+	*	by ENTITY_RECOGNIZERS, followed by the recognizers of your own given in ENTITY_RECOGNIZERS
+	*/
+	_getEntityRecognizers : function() {
+		var settings = ( this.ENTITY_RECOGNIZERS != null ) ? this.ENTITY_RECOGNIZERS : {};
+		var recognizers = new Array();
+		
+		for ( var name in AUTOTAGS.ENTITY_RECOGNIZERS ) {
+			var recognizer = AUTOTAGS.ENTITY_RECOGNIZERS[name];
+			var setting = settings.hasOwnProperty( name ) ? settings[name] : recognizer.enabled;
+			
+			if ( typeof setting == 'object' && setting != null ) {
+				recognizers.push( setting );
+			} else if ( setting == true ) {
+				recognizers.push( recognizer );
+			}
+		}
+		
+		for ( var name in settings ) {
+			if ( !AUTOTAGS.ENTITY_RECOGNIZERS.hasOwnProperty( name ) && typeof settings[name] == 'object' && settings[name] != null && settings[name].enabled !== false ) {
+				recognizers.push( settings[name] );
+			}
+		}
+		
+		return recognizers;
+	},
+	
+	/*
+	*	Finds the entities of the entity recognizers in the text, adding { 'value', 'termType', 'boost', 'index' } to
+	*	entities for each (in the order they are found in the text). Returns the text with each entity masked by
+	*	semicolons, i.e. a boundary, which keeps the length of the text the same.
+	*/
+	_recognizeEntities : function( text, entities ) {
+		var recognizers = this._getEntityRecognizers();
+		var maskedText = text;
+		
+		for ( var r = 0, numberOfRecognizers = recognizers.length; r < numberOfRecognizers; r++ ) {
+			var recognizer = recognizers[r];
+			var expression = recognizer.expression;
+			var parts = new Array();
+			var lastIndex = 0;
+			var match;
+			
+			expression.lastIndex = 0;
+			while ( ( match = expression.exec( maskedText ) ) != null ) {
+				var index = match.index + match[1].length;
+				
+				if ( match[2].length > 0 ) {
+					entities.push( { 'value' : match[2], 'termType' : recognizer.termType, 'boost' : recognizer.boost, 'index' : index } );
+					parts.push( maskedText.substring( lastIndex, index ), new Array( match[2].length + 1 ).join( ';' ) );
+					lastIndex = index + match[2].length;
+				}
+				
+				// Avoiding an infinite loop on empty matches
+				if ( match[0].length == 0 ) expression.lastIndex++;
+			}
+			
+			if ( lastIndex > 0 ) {
+				parts.push( maskedText.substring( lastIndex ) );
+				maskedText = parts.join( '' );
+			}
+		}
+		
+		// Putting the entities in the order they were found in
+		entities.sort( function( a, b ) { return a.index - b.index; } );
+		
+		return maskedText;
+	},
+	
+	/*
+	*	Replaces all variants found in the normalisation dictionary with their canonical terms
+	*/
+	_normaliseText : function( text, replacements ) {
+		var normalisations = ( this.NORMALISATIONS != null ) ? this.NORMALISATIONS : AUTOTAGS.NORMALISATIONS;
+		
+		if ( normalisations == undefined ) {
+			return text;
+		}
+		
+		// The expression is cached for as long as the same dictionary is used
+		if ( this.normalisationCache == undefined || this.normalisationCache.normalisations !== normalisations ) {
+			var canonicalTerms = new Object();
+			var variants = new Array();
+			
+			for ( var variant in normalisations ) {
+				if ( normalisations.hasOwnProperty( variant ) ) {
+					canonicalTerms['_' + variant.toLowerCase()] = normalisations[variant];
+					variants.push( AUTOTAGS._escapeRegExp( variant ) );
+				}
+			}
+			
+			// Longest variants first so that e.g. 'e-mail address' wins over 'e-mail'
+			variants.sort( function( a, b ) { return b.length - a.length; } );
+			
+			this.normalisationCache = {
+				'normalisations' : normalisations,
+				'canonicalTerms' : canonicalTerms,
+				'expression' : ( variants.length > 0 ) ? AUTOTAGS.createExpression( '(^|[^%LETTER%%DIGIT%_])(' + variants.join( '|' ) + ')(?![%LETTER%%DIGIT%_])', 'gi' ) : null
+			};
+		}
+		
+		if ( this.normalisationCache.expression == null ) {
+			return text;
+		}
+		
+		var canonicalTerms = this.normalisationCache.canonicalTerms;
+		var lengthDifference = 0;
+		
+		return text.replace( this.normalisationCache.expression, function( match, prefix, variant, offset ) {
+			var canonicalTerm = canonicalTerms['_' + variant.toLowerCase()];
+			
+			// Keeping track of the replacements made, so that offsets in the normalised text can be mapped back
+			if ( replacements != undefined ) {
+				var originalOffset = offset + prefix.length;
+				replacements.push( { 'offset' : originalOffset + lengthDifference, 'length' : canonicalTerm.length, 'originalOffset' : originalOffset, 'originalLength' : variant.length } );
+				lengthDifference += canonicalTerm.length - variant.length;
+			}
+			
+			return prefix + canonicalTerm;
+		});
+	},
+	
+	/*
+	*	Records the position of an occurrence on the term, the index of its first token (see _mapTokens), and sets the
+	*	position boost for it
+	*/
+	_setPosition : function( term, tokenOffset, numberOfTokens, leadSize ) {
+		term.positions.push( tokenOffset );
+		
+		var decay = this.POSITION_DECAY;
+		if ( typeof decay != 'function' ) decay = AUTOTAGS.POSITION_DECAY_FUNCTIONS[decay];
+		
+		if ( decay != undefined ) {
+			var relativePosition = ( numberOfTokens > 0 ) ? tokenOffset / numberOfTokens : 0;
+			term.positionBoost = 1 + this.POSITION_BOOST * decay( relativePosition, this, leadSize );
+		}
+	},
+	
+	/*
+	*	Records the character offsets of an occurrence of the term in the original text, given its span in the
+	*	normalised text (the replacements made by _normaliseText are undone, so that an occurrence of a variant
+	*	covers the variant as it was written)
+	*/
+	_addOffsets : function( term, span, replacements, fieldName ) {
+		if ( span == null ) return null;
+		
+		var offsets = {
+			'field' : ( fieldName != undefined ) ? fieldName : null,
+			'start' : AUTOTAGS._toOriginalOffset( span.start, replacements, false ),
+			'end' : AUTOTAGS._toOriginalOffset( span.end, replacements, true )
+		};
+		term.offsets.push( offsets );
+		
+		return offsets;
+	},
+	
+	/*
+	*	Finds the spans of the tokens of textWithBoundaryMarkers in the text it was made from. The tokens are runs of
+	*	TOKEN_EXPRESSION characters in both, and in the same order, since only the characters in between are replaced.
+	*	Returns { 'starts', 'spans', 'ends' } for all tokens (as split by single spaces), the start of each token in
+	*	textWithBoundaryMarkers, its span { 'start', 'end' } in the text (or null for boundaries and empty tokens) and
+	*	the end of its span, or of the last span before it, in the text (used to find the token at an offset).
+	*/
+	_mapTokens : function( text, textWithBoundaryMarkers ) {
+		var tokens = textWithBoundaryMarkers.split( ' ' );
+		var starts = new Array();
+		var spans = new Array();
+		var ends = new Array();
+		var expression = this.TOKEN_EXPRESSION;
+		var index = 0;
+		var end = 0;
+		
+		expression.lastIndex = 0;
+		for ( var i = 0, length = tokens.length; i < length; i++ ) {
+			var token = tokens[i];
+			var span = null;
+			
+			if ( token.length > 0 && token != AUTOTAGS.BOUNDARY ) {
+				var lastIndex = expression.lastIndex;
+				var match = expression.exec( text );
+				
+				if ( match != null && match[0] == token ) {
+					span = { 'start' : match.index, 'end' : match.index + token.length };
+				} else {
+					// A custom WHITESPACE_EXPRESSION may keep other characters in tokens (e.g. hyphens), which are then
+					// found as they are (the tokens that follow can still be found either way)
+					var tokenIndex = text.indexOf( token, lastIndex );
+					
+					if ( tokenIndex >= 0 ) {
+						span = { 'start' : tokenIndex, 'end' : tokenIndex + token.length };
+					}
+					expression.lastIndex = ( span != null ) ? span.end : lastIndex;
+				}
+				
+				if ( span != null ) end = span.end;
+			}
+			
+			starts.push( index );
+			spans.push( span );
+			ends.push( end );
+			index += token.length + 1;
+		}
+		
+		return { 'starts' : starts, 'spans' : spans, 'ends' : ends };
+	},
+	
+	/*
+	*	Returns the index of the token (see _mapTokens) at an offset in the text, or of the first token after it
+	*/
+	_getTokenIndex : function( tokenMap, offset ) {
+		return Math.min( AUTOTAGS._findLastNotAfter( tokenMap.ends, offset ) + 1, tokenMap.ends.length - 1 );
+	},
+	
+	/*
+	*	Returns the span in the text of the characters from start to end in textWithBoundaryMarkers (see _mapTokens)
+	*/
+	_getSpan : function( tokenMap, start, end ) {
+		var first = AUTOTAGS._findLastNotAfter( tokenMap.starts, start );
+		var last = AUTOTAGS._findLastNotAfter( tokenMap.starts, end - 1 );
+		
+		if ( tokenMap.spans[first] == null || tokenMap.spans[last] == null ) {
+			return null;
+		}
+		
+		return {
+			'start' : tokenMap.spans[first].start + ( start - tokenMap.starts[first] ),
+			'end' : tokenMap.spans[last].start + ( end - tokenMap.starts[last] )
+		};
+	},
+	
+	/*
+	*	Returns the span in the text of the tokens from first to last (their indexes as split by single spaces, see
+	*	_mapTokens), or null if either of them could not be found in the text
+	*/
+	_getTokenSpan : function( tokenMap, first, last ) {
+		if ( tokenMap.spans[first] == null || tokenMap.spans[last] == null ) {
+			return null;
+		}
+		
+		return { 'start' : tokenMap.spans[first].start, 'end' : tokenMap.spans[last].end };
+	},
+	
+	/*
+	*	Same as String.match with a global expression, but returns the matches along with their indexes in the text
+	*/
+	_matchWithOffsets : function( text, expression ) {
+		var matches = new Array();
+		var match;
+		
+		expression.lastIndex = 0;
+		while ( ( match = expression.exec( text ) ) != null ) {
+			matches.push( { 'value' : match[0], 'index' : match.index } );
+			
+			// Avoiding an infinite loop on empty matches
+			if ( match[0].length == 0 ) expression.lastIndex++;
+		}
+		
+		return matches;
+	},
+	
+	/*
+	*	Returns all bigrams and n-grams of up to maxSize tokens within the compound term
+	*/
+	_toNGramArray : function( compoundTerm, maxSize ) {
+		var ngramArray = new Array();
+		
+		var splitTerm = compoundTerm.split( ' ' );
+		
+		for ( var n = 2; n <= maxSize; n++ ) {
+			for ( var i = 0, length = splitTerm.length; i + n <= length; i++ ) {
+				ngramArray.push( splitTerm.slice( i, i + n ).join( ' ' ) );
+			}
+		}
+		
+		return ngramArray;
+	},
+	
+	isInWhiteList : function( term ) {
+		var whitelist = this.getWhiteList();
+		
+		// The cache is only valid for as long as the same whitelist is used
+		if ( this.whitelistCache.source !== whitelist ) {
+			this.whitelistCache.clear();
+			this.whitelistCache.source = whitelist;
+		}
+		
+		// Whitelist lookup with caching
+		// In case the same words are prevalent in the text I can avoid looking them up again
+		var cachedInWhiteList = this.whitelistCache.get( term );
+		if ( cachedInWhiteList != undefined ) {
+			return cachedInWhiteList;
+		} else {
+			try {
+				var inWhiteList = false;
+				if ( whitelist != undefined ) {
+					inWhiteList = this._getWhiteListIndex().terms.hasOwnProperty( '_' + term.toLowerCase() );
+					this.whitelistCache.set( term, inWhiteList );
+				}
+				return inWhiteList;
+			} catch ( e ) {
+				return false;
+			}
+		}
+	},
+	
+	/*
+	*	Whether the term matches a node of the TAXONOMY (if any), such terms are not dropped for being infrequent
+	*/
+	_isInTaxonomy : function( term ) {
+		return this.TAXONOMY != null && this.TAXONOMY.match( term, this.LANGUAGE ) != null;
+	},
+	
+	/*
+	*	Returns the whitelist as a set of terms (as they are listed and as they are tokenised, e.g. 'metropolis-hastings'
+	*	as well as 'metropolis hastings') and a PhraseMatcher of the phrases in it, only rebuilt if the whitelist has changed
+	*/
+	_getWhiteListIndex : function() {
+		var whitelist = this.getWhiteList();
+		var cache = this.whitelistIndexCache;
+		
+		if ( cache != undefined && cache.whitelist === whitelist && cache.length == ( ( whitelist != undefined ) ? whitelist.length : 0 )
+				&& cache.whitespaceExpression === this.WHITESPACE_EXPRESSION ) {
+			return cache.whitelistIndex;
+		}
+		
+		var terms = new Object();
+		var phraseMatcher = new AUTOTAGS.PhraseMatcher();
+		
+		if ( whitelist != undefined ) {
+			for ( var i = 0, length = whitelist.length; i < length; i++ ) {
+				var tokens = this._toWhiteListTokens( whitelist[i] );
+				
+				terms['_' + whitelist[i].toLowerCase()] = true;
+				terms['_' + tokens.join( ' ' )] = true;
+				
+				if ( tokens.length > 1 ) phraseMatcher.addPhrase( tokens );
+			}
+		}
+		
+		var whitelistIndex = { 'terms' : terms, 'phraseMatcher' : phraseMatcher };
+		
+		this.whitelistIndexCache = {
+			'whitelist' : whitelist,
+			'length' : ( whitelist != undefined ) ? whitelist.length : 0,
+			'whitespaceExpression' : this.WHITESPACE_EXPRESSION,
+			'whitelistIndex' : whitelistIndex
+		};
+		
+		return whitelistIndex;
+	},
+	
+	/*
+	*	Splits a whitelist term into lowercase tokens the same way texts are split
+	*/
+	_toWhiteListTokens : function( term ) {
+		var tokens = ( ' ' + term.toLowerCase() + ' ' ).replace( this.WHITESPACE_EXPRESSION, ' ' ).split( ' ' );
+		var tokensToReturn = new Array();
+		
+		for ( var i = 0, length = tokens.length; i < length; i++ ) {
+			if ( tokens[i].length > 0 ) tokensToReturn.push( tokens[i] );
+		}
+		
+		return tokensToReturn;
+	},
+	
+	/*
+	*	Finds the phrases of the whitelist in the tokens of a text (as split by single spaces, see _buildFrequencyLists),
+	*	returning { 'start', 'end' } for each, the indexes of its first and last token. Phrases are not found across
+	*	boundaries, and empty tokens are skipped.
+	*/
+	_findWhiteListPhrases : function( tokens ) {
+		var phraseMatcher = this._getWhiteListIndex().phraseMatcher;
+		var tokensToMatch = new Array();
+		var indexes = new Array();
+		
+		if ( phraseMatcher.numberOfPhrases == 0 ) {
+			return new Array();
+		}
+		
+		for ( var i = 0, length = tokens.length; i < length; i++ ) {
+			if ( tokens[i].length > 0 ) {
+				tokensToMatch.push( ( tokens[i] == AUTOTAGS.BOUNDARY ) ? null : tokens[i].toLowerCase() );
+				indexes.push( i );
+			}
+		}
+		
+		var matches = phraseMatcher.findAll( tokensToMatch );
+		
+		for ( var i = 0, length = matches.length; i < length; i++ ) {
+			matches[i] = { 'start' : indexes[matches[i].start], 'end' : indexes[matches[i].end] };
+		}
+		
+		return matches;
+	},
+	
+	getWhiteListCache : function() {
+		return this.whitelistCache;
+	},
+	
+	/*
+	*	Returns the whitelist of the tagger, falling back to AUTOTAGS.WHITELIST
+	*/
+	getWhiteList : function() {
+		return ( this.WHITELIST != null ) ? this.WHITELIST : AUTOTAGS.WHITELIST;
+	},
+	
+	addToWhiteList : function( terms ) {
+		this.WHITELIST = AUTOTAGS._arrayWith( this.getWhiteList(), AUTOTAGS._toLowerCase( terms ) );
+	},
+	
+	removeFromWhiteList : function( terms ) {
+		this.WHITELIST = AUTOTAGS._arrayWithout( this.getWhiteList(), AUTOTAGS._toLowerCase( terms ) );
+	},
+	
+	/*
+	*	Returns the blacklist of the language pack, falling back to AUTOTAGS.BLACKLIST
+	*/
+	_getLanguageBlackList : function() {
+		var languagePack = AUTOTAGS.LANGUAGES[this.LANGUAGE];
+		
+		if ( languagePack != undefined && languagePack.BLACKLIST != undefined ) {
+			return languagePack.BLACKLIST;
+		} else {
+			return AUTOTAGS.BLACKLIST;
+		}
+	},
+	
+	/*
+	*	Returns the blacklist of the tagger, i.e. the blacklist of the language with the changes in BLACKLIST applied
+	*/
+	getBlackList : function() {
+		var languageBlacklist = this._getLanguageBlackList();
+		
+		if ( this.BLACKLIST == null ) {
+			return languageBlacklist;
+		}
+		
+		var blacklist = {};
+		
+		for ( var term in languageBlacklist ) {
+			if ( languageBlacklist[term] == true && !this.BLACKLIST.hasOwnProperty( term ) ) blacklist[term] = true;
+		}
+		for ( var term in this.BLACKLIST ) {
+			if ( this.BLACKLIST[term] == true ) blacklist[term] = true;
+		}
+		
+		return blacklist;
+	},
+	
+	addToBlackList : function( terms ) {
+		this._changeBlackList( terms, true );
+	},
+	
+	removeFromBlackList : function( terms ) {
+		this._changeBlackList( terms, false );
+	},
+	
+	_changeBlackList : function( terms, inBlackList ) {
+		// Changes are made to a copy, so that the stopword set is rebuilt and shared lists are left alone
+		var blacklist = {};
+		
+		for ( var term in this.BLACKLIST ) {
+			blacklist[term] = this.BLACKLIST[term];
+		}
+		
+		terms = AUTOTAGS._toLowerCase( terms );
+		for ( var i = 0, length = terms.length; i < length; i++ ) {
+			blacklist[terms[i]] = inBlackList;
+		}
+		
+		this.BLACKLIST = blacklist;
+	},
+	
+	isInBlackList : function( term ) {
+		if ( term == AUTOTAGS.BOUNDARY ) {
+			return true;
+		}
+		
+		var word = term.toLowerCase();
+		if ( this.BLACKLIST != null && this.BLACKLIST.hasOwnProperty( word ) ) {
+			return this.BLACKLIST[word] == true;
+		}
+		
+		var blacklist = this._getLanguageBlackList();
+		if ( blacklist != undefined && blacklist[word] != true ) {
+			return false;
+		} else {
+			return true;
+		}
+	},
+	
+	/*
+	*	Splits the text into tokens, leaving out stopwords, boundaries and (if REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS
+	*	is set) short numbers. Tokens are expected to be separated by spaces. Returns { 'tokens', 'spans', 'indexes' },
+	*	where the spans of the tokens kept are taken from the spans of all tokens, if given (see _mapTokens), and the
+	*	indexes are those of the tokens kept among all tokens.
+	*/
+	_tokenize : function( text, spans ) {
+		var stopWords = this._getStopWordSet();
+		var tokens = text.split( ' ' );
+		var tokensToProcess = new Array();
+		var spansOfTokensToProcess = new Array();
+		var indexesOfTokensToProcess = new Array();
+		
+		for ( var i = 0, length = tokens.length; i < length; i++ ) {
+			var token = tokens[i];
+			
+			if ( token.length > 0 && ( stopWords.words['_' + token.toLowerCase()] == true || ( stopWords.shortNumbersExpression != null && stopWords.shortNumbersExpression.test( token ) ) ) ) {
+				continue;
+			}
+			
+			tokensToProcess.push( token );
+			spansOfTokensToProcess.push( ( spans != undefined ) ? spans[i] : null );
+			indexesOfTokensToProcess.push( i );
+		}
+		
+		return { 'tokens' : tokensToProcess, 'spans' : spansOfTokensToProcess, 'indexes' : indexesOfTokensToProcess };
+	},
+	
+	/*
+	*	Returns the stopwords of the tagger as a set, only rebuilt if the blacklists or the relevant parameters have changed
+	*/
+	_getStopWordSet : function() {
+		var cache = this.stopWordCache;
+		var languageBlacklist = this._getLanguageBlackList();
+		
+		if ( cache != undefined && cache.blacklist === this.BLACKLIST && cache.languageBlacklist === languageBlacklist
+				&& cache.removeShortNumbers == this.REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS && cache.shortNumbersExpression == this.SHORT_NUMBERS_EXPRESSION ) {
+			return cache.stopWords;
+		}
+		
+		var words = new Object();
+		words['_' + AUTOTAGS.BOUNDARY] = true;
+		
+		// Adding all blacklist terms
+		var blacklist = this.getBlackList();
+		if ( blacklist != undefined ) {
+			for ( var term in blacklist ) {
+				if ( blacklist[term] == true ) words['_' + term.toLowerCase()] = true;
+			}
+		}
+		
+		var stopWords = {
+			'words' : words,
+			'shortNumbersExpression' : this.REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS ? new RegExp( '^(' + this.SHORT_NUMBERS_EXPRESSION + ')$' ) : null
+		};
+		
+		this.stopWordCache = {
+			'blacklist' : this.BLACKLIST,
+			'languageBlacklist' : languageBlacklist,
+			'removeShortNumbers' : this.REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS,
+			'shortNumbersExpression' : this.SHORT_NUMBERS_EXPRESSION,
+			'stopWords' : stopWords
+		};
+		
+		return stopWords;
+	},
+	
+	/*
+	*	Returns the cache of stemmed tokens used by the tagger, see STEM_CACHE
+	*/
+	getStemCache : function() {
+		return ( this.STEM_CACHE != null ) ? this.STEM_CACHE : AUTOTAGS.STEM_CACHE;
+	},
+	
+	getAlgorithmTime : function() {
+		return this.algorithmTime;
+	},
+	
+	_setAlgorithmTime : function( timeInMilliseconds ) {
+		this.algorithmTime = timeInMilliseconds;
+	}
+};
+
+
+
+
+/*
+*
+*	Term Business Object
+*
+*/
+AUTOTAGS.TermConstants = {
+	'TYPE_SINGLE_TERM' : 'TYPE_SINGLE_TERM',
+	'TYPE_CAPITALISED_COMPOUND_TERM' : 'TYPE_CAPITALISED_COMPOUND_TERM',
+	'TYPE_SIMPLE_BIGRAM_TERM' : 'TYPE_SIMPLE_BIGRAM_TERM',
+	'TYPE_SIMPLE_NGRAM_TERM' : 'TYPE_SIMPLE_NGRAM_TERM',
+	'TYPE_SPECIAL_TERM' : 'TYPE_SPECIAL_TERM',
+	'TYPE_URL' : 'TYPE_URL',
+	'TYPE_EMAIL' : 'TYPE_EMAIL',
+	'TYPE_MENTION' : 'TYPE_MENTION',
+	'TYPE_HASHTAG' : 'TYPE_HASHTAG',
+	'TYPE_TECH_NAME' : 'TYPE_TECH_NAME',
+	'TYPE_VERSION' : 'TYPE_VERSION',
+	'TYPE_NUMBER' : 'TYPE_NUMBER',
+	'TYPE_ASSOCIATED_TERM' : 'TYPE_ASSOCIATED_TERM',
+	'TYPE_TAXONOMY_TERM' : 'TYPE_TAXONOMY_TERM',
+	'TYPE_TAG_CONSTANT' : 'TYPE_TAG_CONSTANT'
+};
+
+AUTOTAGS.Term = function( parameters ) {
+	// Fields
+	this._termId = '';
+	this._term = '';
+	this.termType = AUTOTAGS.TermConstants.TYPE_SINGLE_TERM;
+	this.freq = 1;
+	this.ignoreTermFreqCutoff = false;
+	this.score = 0;
+	this.boost = 1;
+	this.positions = new Array(); // Token offsets of all occurrences, the index of their first token within the field they were found in
+	this.offsets = new Array(); // Character offsets { 'field', 'start', 'end' } of all occurrences in the original text (end exclusive)
+	this.positionBoost = 1; // Boost based on the position of the earliest occurrence, see POSITION_DECAY
+	this.idf = 1; // Inverse document frequency, only set when the tagger has a CORPUS
+	this.language = AUTOTAGS.DEFAULT_LANGUAGE; // The language of the text the term was found in, which decides how it is stemmed
+	this.stemCache = null; // The cache used when stemming the term, AUTOTAGS.STEM_CACHE is used if not set
+	this.triggeredBy = new Array(); // For associated terms, the values of the tags that triggered them
+	this._variants = new Object(); // Surface forms the term was found in (e.g. inflections sharing the same stem) and their frequencies
+	this.rank = null; // If set (e.g. by the 'textrank' RANKING), the score is based on the rank rather than the frequency
+	this.collocationScore = null; // For bigrams, the score of the tagger's COLLOCATION_MEASURE (if set)
+	this.taxonomyId = null; // For taxonomy terms, the id of the node of the tagger's TAXONOMY
+	this.confidence = null; // For taxonomy terms, how confident the match of the node is (between 0 and 1)
+	this.explanation = null; // Only recorded if the tagger EXPLAINs, see getExplanation
+	
+	if ( typeof parameters != 'undefined' ) {
+		for ( var property in parameters ) {
+			if( typeof this[property] != 'undefined' ) {
+				this[property] = parameters[property];
+			}
+		}
+	}
+};
+
+AUTOTAGS.Term.prototype = {
+	addBoost : function( boostFactor, reason ) {
+		this.boost *= boostFactor;
+		
+		if ( this.explanation != null ) {
+			this.explanation.boosts.push( { 'reason' : reason, 'factor' : boostFactor } );
+		}
+	},
+	
+	/*
+	*	Records that a competing candidate (e.g. the same term as a bigram) was dropped in favour of this term
+	*/
+	addDroppedCandidate : function( term, reason ) {
+		if ( this.explanation != null ) {
+			this.explanation.dropped.push( { 'value' : term.getValue(), 'termType' : term.getTermType(), 'reason' : reason } );
+		}
+	},
+	
+	/*
+	*	Returns how the score of the term came about if the tagger EXPLAINs, otherwise null:
+	*
+	*	{
+	*		'boosts' : [ { 'reason' : 'SINGLE_TERM_BOOST', 'factor' : 0.75 }, { 'reason' : 'CAPITALIZATION_BOOST', 'factor' : 1.75 } ],
+	*		'dropped' : [ { 'value' : 'Robots', 'termType' : 'TYPE_SPECIAL_TERM', 'reason' : 'scored lower than the single term' } ]
+	*	}
+	*
+	*	The boosts are listed in the order they were applied, their product being the boost of the term (the score is
+	*	freq (or rank) * boost * positionBoost * idf). The reasons given for boosts are the names of the tagger's parameters.
+	*/
+	getExplanation : function() {
+		return this.explanation;
+	},
+
+	incrementFrequency : function() {
+		this.freq++;
+	},
+	
+	getScore : function() {
+		this.score = ( ( this.rank != null ) ? this.rank : this.freq )*this.boost*this.positionBoost*this.idf;
+		
+		return this.score;
+	},
+	
+	getValue : function() {
+		return this._term;
+	},
+	
+	addVariant : function( value, freq ) {
+		var key = '_' + value;
+		this._variants[key] = ( this._variants.hasOwnProperty( key ) ? this._variants[key] : 0 ) + freq;
+	},
+	
+	/*
+	*	Returns the variants of the term as an array of { 'value', 'freq' } objects, most frequent first
+	*	(variants with the same frequency are kept in the order they were found)
+	*/
+	getVariants : function() {
+		var variants = new Array();
+		
+		for ( var key in this._variants ) {
+			variants.push( { 'value' : key.substring(1), 'freq' : this._variants[key], 'order' : variants.length } );
+		}
+		
+		variants.sort( function( a, b ) { return ( b.freq - a.freq ) || ( a.order - b.order ); } );
+		
+		for ( var i = 0, length = variants.length; i < length; i++ ) {
+			delete variants[i].order;
+		}
+		
+		return variants;
+	},
+	
+	setValue : function( value ) {
+		this._term = value;
+		this._setTermId(value);
+	},
+	
+	getTermId : function() {
+		return this._termId;
+	},
+	
+	_setTermId : function( value ) {
+		// If this is a single token and stemming should be applied then modify the termID
 		if ( AUTOTAGS.APPLY_STEMMING && !this.isCompoundTerm() ) {
-			this._termId = '_' + AUTOTAGS._stemToken( value );
+			this._termId = '_' + AUTOTAGS._stemToken( value, this.language, this.stemCache );
 		} else {
 			this._termId = '_' + value.toLowerCase();
 		}
 	},
 	
-	getTermType : function() {
-		return this.termType;
-	},
-	
-	isCompoundTerm : function() {
-		return this.termType != AUTOTAGS.TermConstants.TYPE_SINGLE_TERM;
+	getTermType : function() {
+		return this.termType;
+	},
+	
+	isCompoundTerm : function() {
+		return this.termType != AUTOTAGS.TermConstants.TYPE_SINGLE_TERM;
+	},
+	
+	toString : function() {
+		return this.getValue();
+	},
+	
+	valueEquals : function( term ) {
+		return new String( this.toString() ) == new String( term.toString() );
+	},
+	
+	valueEqualsIgnoreCase : function( term ) {
+		return new String( this.toString() ).toLowerCase() == new String( term.toString() ).toLowerCase();
+	},
+	
+	/*
+	*	Returns the term as a plain object, see AUTOTAGS.TagSet.prototype.toJSON for the schema
+	*/
+	toJSON : function() {
+		return {
+			'value' : this.getValue(),
+			'termId' : this.getTermId(),
+			'type' : this.getTermType(),
+			'freq' : this.freq,
+			'boost' : this.boost,
+			'positionBoost' : this.positionBoost,
+			'idf' : this.idf,
+			'rank' : this.rank,
+			'score' : this.getScore(),
+			'language' : this.language,
+			'variants' : this.getVariants(),
+			'positions' : this.positions.slice( 0 ),
+			'offsets' : this.offsets.slice( 0 ),
+			'triggeredBy' : this.triggeredBy.slice( 0 ),
+			'taxonomyId' : this.taxonomyId,
+			'confidence' : this.confidence,
+			'explanation' : this.explanation
+		};
+	}
+};
+
+/*
+*	Creates a term from the output of toJSON. The termId is restored as it was, so the term is not stemmed again.
+*/
+AUTOTAGS.Term.fromJSON = function( json ) {
+	var term = new AUTOTAGS.Term({
+		'termType' : json.type,
+		'freq' : json.freq,
+		'boost' : json.boost,
+		'positionBoost' : ( json.positionBoost != undefined ) ? json.positionBoost : 1,
+		'idf' : ( json.idf != undefined ) ? json.idf : 1,
+		'rank' : ( json.rank != undefined ) ? json.rank : null,
+		'language' : ( json.language != undefined ) ? json.language : AUTOTAGS.DEFAULT_LANGUAGE,
+		'positions' : ( json.positions != undefined ) ? json.positions.slice( 0 ) : new Array(),
+		'offsets' : ( json.offsets != undefined ) ? json.offsets.slice( 0 ) : new Array(),
+		'triggeredBy' : ( json.triggeredBy != undefined ) ? json.triggeredBy.slice( 0 ) : new Array(),
+		'taxonomyId' : ( json.taxonomyId != undefined ) ? json.taxonomyId : null,
+		'confidence' : ( json.confidence != undefined ) ? json.confidence : null,
+		'explanation' : ( json.explanation != undefined ) ? json.explanation : null
+	});
+	
+	term._term = json.value;
+	term._termId = json.termId;
+	term.getScore();
+	
+	var variants = ( json.variants != undefined ) ? json.variants : new Array();
+	for ( var i = 0, length = variants.length; i < length; i++ ) {
+		term.addVariant( variants[i].value, variants[i].freq );
+	}
+	
+	return term;
+};
+
+
+
+
+/*
+*
+*	TagSet Business Object
+*
+*/
+AUTOTAGS.TagSet = function( parameters ) {
+	this.tags = new Array();
+	this.TAG_SEPARATOR = ', ';
+	this.language = null; // The language the tags were generated for (set or detected)
+	
+	if ( typeof parameters != 'undefined' ) {
+		for ( var property in parameters ) {
+			if( typeof this[property] != 'undefined' ) {
+				this[property] = parameters[property];
+			}
+		}
+	}
+};
+
+AUTOTAGS.TagSet.prototype = {
+	addTag : function( term ) {
+		this.tags.push( term );
+	},
+	
+	addAllTags : function( tagArray ) {
+		this.tags = this.tags.concat( tagArray );
+	},
+	
+	getTags : function() {
+		return this.tags;
+	},
+	
+	toString : function( separator ) {
+		if ( separator != undefined ) {
+			this.TAG_SEPARATOR = separator;
+		}
+		
+		return this.tags.join( this.TAG_SEPARATOR );
+	},
+	
+	sortByScore : function() {
+		this.tags.sort( this._scoreComparator );
+	},
+	
+	_scoreComparator : function( a, b ) {
+		return b.getScore() - a.getScore();
+	},
+	
+	/*
+	*	Returns the tag set as a plain object (JSON.stringify( tagSet ) uses this as well). Schema (version 1):
+	*
+	*	{
+	*		'version' : 1,                  // AUTOTAGS.TagSet.SERIALIZATION_VERSION, changed whenever the schema changes
+	*		'language' : 'en',              // The language the tags were generated for, or null
+	*		'tags' : [ {                    // In the order of the tag set, i.e. best first
+	*			'value' : 'robots',         // The tag
+	*			'termId' : '_robot',        // Identifies the term regardless of inflection (stemmed for single terms)
+	*			'type' : 'TYPE_SINGLE_TERM', // One of AUTOTAGS.TermConstants
+	*			'freq' : 3,                 // Frequency of the term, weighted by the fields it was found in
+	*			'boost' : 0.75,             // Product of all boosts applied to the term
+	*			'positionBoost' : 1,        // Boost based on the position of the term, see POSITION_DECAY
+	*			'idf' : 1,                  // Inverse document frequency, 1 unless the tagger has a CORPUS
+	*			'rank' : null,              // Used in place of freq in the score if set, see RANKING
+	*			'score' : 2.25,             // freq (or rank) * boost * positionBoost * idf
+	*			'language' : 'en',          // The language the term was stemmed in
+	*			'variants' : [ { 'value' : 'robots', 'freq' : 2 }, { 'value' : 'robot', 'freq' : 1 } ], // Most frequent first
+	*			'positions' : [ 4, 17, 30 ], // Token offsets of the occurrences (indexes of their first tokens) within their field
+	*			'offsets' : [ { 'field' : 'text', 'start' : 21, 'end' : 27 } ], // Character offsets of the occurrences, see Term.offsets
+	*			'triggeredBy' : [],         // For associated tags, the tags that triggered them
+	*			'taxonomyId' : null,        // For taxonomy tags, the id of the node, see TAXONOMY
+	*			'confidence' : null,        // For taxonomy tags, the confidence of the match (between 0 and 1)
+	*			'explanation' : null        // Boosts and dropped candidates if the tagger EXPLAINs, see Term.getExplanation
+	*		} ]
+	*	}
+	*/
+	toJSON : function() {
+		var tags = new Array();
+		
+		for ( var i = 0, length = this.tags.length; i < length; i++ ) {
+			tags.push( this.tags[i].toJSON() );
+		}
+		
+		return {
+			'version' : AUTOTAGS.TagSet.SERIALIZATION_VERSION,
+			'language' : this.language,
+			'tags' : tags
+		};
+	}
+};
+
+// The version of the schema written by toJSON
+AUTOTAGS.TagSet.SERIALIZATION_VERSION = 1;
+
+/*
+*	Creates a tag set from the output of toJSON (either the object or its string representation)
+*/
+AUTOTAGS.TagSet.fromJSON = function( json ) {
+	if ( typeof json == 'string' ) {
+		json = JSON.parse( json );
+	}
+	
+	if ( json.version != AUTOTAGS.TagSet.SERIALIZATION_VERSION ) {
+		throw new Error( 'Unsupported tag set version: ' + json.version );
+	}
+	
+	var tagSet = new AUTOTAGS.TagSet({ 'language' : ( json.language != undefined ) ? json.language : null });
+	
+	for ( var i = 0, length = json.tags.length; i < length; i++ ) {
+		tagSet.addTag( AUTOTAGS.Term.fromJSON( json.tags[i] ) );
+	}
+	
+	return tagSet;
+};
+
+
+
+
+/*
+*
+*	Frequency List Business Object
+*
+*/
+AUTOTAGS.FrequencyList = function( parameters ) {
+	this._terms = new Object();
+	
+	if ( typeof parameters != 'undefined' ) {
+		for ( var property in parameters ) {
+			if( typeof this[property] != 'undefined' ) {
+				this[property] = parameters[property];
+			}
+		}
+	}
+};
+
+AUTOTAGS.FrequencyList.prototype = {
+	addTerm : function( term ) {
+		var occurrences = term.freq;
+		
+		// Is the term in the frequency list? If so then retrieve it and add to its frequency
+		if ( this.getTermById( term.getTermId() ) != undefined ) {
+			// Getting only frequency, positions and variants from the existing term, updating everything else
+			var existingTerm = this.getTermById( term.getTermId() );
+			term.freq = (existingTerm.freq + term.freq);
+			// The positions and offsets are added to those of the existing term in place (copying them for every
+			// occurrence would take quadratic time)
+			for ( var i = 0, length = term.positions.length; i < length; i++ ) {
+				existingTerm.positions.push( term.positions[i] );
+			}
+			for ( var i = 0, length = term.offsets.length; i < length; i++ ) {
+				existingTerm.offsets.push( term.offsets[i] );
+			}
+			term.positions = existingTerm.positions;
+			term.offsets = existingTerm.offsets;
+			term.positionBoost = Math.max( existingTerm.positionBoost, term.positionBoost );
+			term._variants = existingTerm._variants;
+		}
+		
+		// Keeping track of the surface form the term was found in
+		term.addVariant( term.getValue(), occurrences );
+		
+		// Updating frequency list with the term being processed
+		this._terms[term.getTermId()] = term;
+	},
+	
+	getTermById : function( termId ) {
+		return this._terms[ termId ];
 	},
 	
-	toString : function() {
-		return this.getValue();
+	getTerms : function() {
+		return this._terms;
 	},
 	
-	valueEquals : function( term ) {
-		return new String( this.toString() ) == new String( term.toString() );
+	deleteTermById : function( termId ) {
+		delete this._terms[termId];
 	},
 	
-	valueEqualsIgnoreCase : function( term ) {
-		return new String( this.toString() ).toLowerCase() == new String( term.toString() ).toLowerCase();
+	toArray : function() {
+		var arrayToReturn = new Array();
+		
+		for ( var termId in this._terms ) {
+			arrayToReturn.push( this._terms[termId] );
+		}
+		
+		return arrayToReturn;
 	}
 };
 
@@ -622,12 +2608,16 @@ AUTOTAGS.Term.prototype = {
 
 /*
 *
-*	TagSet Business Object
+*	Tag Statistics Business Object
+*
+*	Aggregates the TagSets of many documents (see analyzeDocuments): in how many documents each tag was
+*	suggested, how often tags were suggested together and which tags score highest overall. Tags are
+*	compared ignoring case, and tag constants are left out of the statistics.
 *
 */
-AUTOTAGS.TagSet = function( parameters ) {
-	this.tags = new Array();
-	this.TAG_SEPARATOR = ', ';
+AUTOTAGS.TagStatistics = function( parameters ) {
+	this.tagSets = new Array();
+	this._tags = new Object();
 	
 	if ( typeof parameters != 'undefined' ) {
 		for ( var property in parameters ) {
@@ -638,33 +2628,116 @@ AUTOTAGS.TagSet = function( parameters ) {
 	}
 };
 
-AUTOTAGS.TagSet.prototype = {
-	addTag : function( term ) {
-		this.tags.push( term );
+AUTOTAGS.TagStatistics.prototype = {
+	addTagSet : function( tagSet ) {
+		var tagsInDocument = new Array();
+		
+		this.tagSets.push( tagSet );
+		
+		for ( var i = 0, tags = tagSet.getTags(), length = tags.length; i < length; i++ ) {
+			var tag = tags[i];
+			var key = '_' + tag.getValue().toLowerCase();
+			
+			// Tag constants are in every document, and a tag is only counted once per document
+			if ( tag.getTermType() == AUTOTAGS.TermConstants.TYPE_TAG_CONSTANT || AUTOTAGS._arrayContains( tagsInDocument, key ) ) continue;
+			
+			if ( this._tags[key] == undefined ) {
+				var aggregatedTag = new AUTOTAGS.Term({ 'termType':tag.getTermType(), 'freq':0, 'boost':0 });
+				aggregatedTag.setValue( tag.getValue() );
+				this._tags[key] = { 'term' : aggregatedTag, 'totalScore' : 0, 'coOccurrences' : new Object() };
+			}
+			
+			var entry = this._tags[key];
+			entry.term.freq++;
+			entry.totalScore += tag.getScore();
+			// The score of the aggregated tag is its total score across all documents
+			entry.term.boost = entry.totalScore / entry.term.freq;
+			
+			tagsInDocument.push( key );
+		}
+		
+		// Counting co-occurrences both ways
+		for ( var a = 0, length = tagsInDocument.length; a < length; a++ ) {
+			for ( var b = 0; b < length; b++ ) {
+				if ( a == b ) continue;
+				
+				var coOccurrences = this._tags[tagsInDocument[a]].coOccurrences;
+				coOccurrences[tagsInDocument[b]] = ( coOccurrences[tagsInDocument[b]] || 0 ) + 1;
+			}
+		}
 	},
 	
-	addAllTags : function( tagArray ) {
-		this.tags = this.tags.concat( tagArray );
+	getTagSets : function() {
+		return this.tagSets;
 	},
 	
-	getTags : function() {
-		return this.tags;
+	getNumberOfDocuments : function() {
+		return this.tagSets.length;
 	},
 	
-	toString : function( separator ) {
-		if ( separator != undefined ) {
-			this.TAG_SEPARATOR = separator;
+	/*
+	*	Number of documents the tag was suggested for
+	*/
+	getDocumentFrequency : function( tag ) {
+		var entry = this._tags['_' + tag.toLowerCase()];
+		
+		return ( entry != undefined ) ? entry.term.freq : 0;
+	},
+	
+	/*
+	*	Document frequencies of all tags, e.g. { 'bayesian inference' : 3, 'monte carlo' : 1 }
+	*/
+	getDocumentFrequencies : function() {
+		var documentFrequencies = new Object();
+		
+		for ( var key in this._tags ) {
+			documentFrequencies[key.substring(1)] = this._tags[key].term.freq;
 		}
 		
-		return this.tags.join( this.TAG_SEPARATOR );
+		return documentFrequencies;
 	},
 	
-	sortByScore : function() {
-		this.tags.sort( this._scoreComparator );
+	/*
+	*	Number of documents both tags were suggested for
+	*/
+	getCoOccurrence : function( tag, otherTag ) {
+		var entry = this._tags['_' + tag.toLowerCase()];
+		var count = ( entry != undefined ) ? entry.coOccurrences['_' + otherTag.toLowerCase()] : undefined;
+		
+		return ( count != undefined ) ? count : 0;
 	},
 	
-	_scoreComparator : function( a, b ) {
-		return b.getScore() - a.getScore();
+	/*
+	*	The tags suggested along with the tag and the number of documents they were suggested together for
+	*/
+	getCoOccurrences : function( tag ) {
+		var entry = this._tags['_' + tag.toLowerCase()];
+		var coOccurrences = new Object();
+		
+		if ( entry != undefined ) {
+			for ( var key in entry.coOccurrences ) {
+				coOccurrences[key.substring(1)] = entry.coOccurrences[key];
+			}
+		}
+		
+		return coOccurrences;
+	},
+	
+	/*
+	*	Returns a TagSet of the tags with the highest total score across all documents. The freq of each tag
+	*	is its document frequency.
+	*/
+	getTopTags : function( numberOfTagsToReturn ) {
+		var topTags = new AUTOTAGS.TagSet();
+		
+		for ( var key in this._tags ) {
+			topTags.addTag( this._tags[key].term );
+		}
+		
+		topTags.sortByScore();
+		topTags.tags = topTags.tags.slice( 0, numberOfTagsToReturn );
+		
+		return topTags;
 	}
 };
 
@@ -673,11 +2746,18 @@ AUTOTAGS.TagSet.prototype = {
 
 /*
 *
-*	Frequency List Business Object
+*	LRU Cache Business Object
+*
+*	A cache holding at most maxSize entries, evicting the least recently used entry when full, and counting
+*	hits and misses. Any other object with the same get, set, clear and getStatistics methods can be used
+*	as a STEM_CACHE or WHITELIST_CACHE instead (get returns undefined for keys not in the cache).
 *
 */
-AUTOTAGS.FrequencyList = function( parameters ) {
-	this._terms = new Object();
+AUTOTAGS.LRUCache = function( parameters ) {
+	this.maxSize = AUTOTAGS.DEFAULT_CACHE_SIZE;
+	this.hits = 0;
+	this.misses = 0;
+	this.evictions = 0;
 	
 	if ( typeof parameters != 'undefined' ) {
 		for ( var property in parameters ) {
@@ -686,40 +2766,216 @@ AUTOTAGS.FrequencyList = function( parameters ) {
 			}
 		}
 	}
+	
+	this.clear();
 };
 
-AUTOTAGS.FrequencyList.prototype = {
-	addTerm : function( term ) {
-		// Is the term in the frequency list? If so then retrieve it and increment frequency
-		if ( this.getTermById( term.getTermId() ) != undefined ) {
-			// Getting only frequency from the existing term, updating everything else
-			term.freq = (this.getTermById( term.getTermId() ).freq + 1);
+AUTOTAGS.LRUCache.prototype = {
+	get : function( key ) {
+		var entry = this._entries['_' + key];
+		
+		if ( entry == undefined ) {
+			this.misses++;
+			return undefined;
 		}
 		
-		// Updating frequency list with the term being processed
-		this._terms[term.getTermId()] = term;
+		this.hits++;
+		this._moveToFront( entry );
+		
+		return entry.value;
 	},
 	
-	getTermById : function( termId ) {
-		return this._terms[ termId ];
+	set : function( key, value ) {
+		var entry = this._entries['_' + key];
+		
+		if ( entry != undefined ) {
+			entry.value = value;
+			this._moveToFront( entry );
+			return;
+		}
+		
+		entry = { 'key' : '_' + key, 'value' : value, 'newer' : null, 'older' : null };
+		this._entries[entry.key] = entry;
+		this._moveToFront( entry );
+		this.size++;
+		
+		// Evicting the least recently used entries
+		while ( this.size > this.maxSize ) {
+			var oldest = this._oldest;
+			this._unlink( oldest );
+			delete this._entries[oldest.key];
+			this.size--;
+			this.evictions++;
+		}
 	},
 	
-	getTerms : function() {
-		return this._terms;
+	/*
+	*	Removes all entries (the statistics are kept, see resetStatistics)
+	*/
+	clear : function() {
+		this._entries = new Object();
+		this._newest = null;
+		this._oldest = null;
+		this.size = 0;
 	},
 	
-	deleteTermById : function( termId ) {
-		delete this._terms[termId];
+	getSize : function() {
+		return this.size;
 	},
 	
-	toArray : function() {
-		var arrayToReturn = new Array();
+	getStatistics : function() {
+		return { 'hits' : this.hits, 'misses' : this.misses, 'evictions' : this.evictions, 'size' : this.size, 'maxSize' : this.maxSize };
+	},
+	
+	resetStatistics : function() {
+		this.hits = 0;
+		this.misses = 0;
+		this.evictions = 0;
+	},
+	
+	_moveToFront : function( entry ) {
+		if ( this._newest == entry ) return;
 		
-		for ( var termId in this._terms ) {
-			arrayToReturn.push( this._terms[termId] );
+		this._unlink( entry );
+		
+		entry.older = this._newest;
+		if ( this._newest != null ) this._newest.newer = entry;
+		this._newest = entry;
+		if ( this._oldest == null ) this._oldest = entry;
+	},
+	
+	_unlink : function( entry ) {
+		if ( entry.newer != null ) entry.newer.older = entry.older;
+		if ( entry.older != null ) entry.older.newer = entry.newer;
+		if ( this._newest == entry ) this._newest = entry.older;
+		if ( this._oldest == entry ) this._oldest = entry.newer;
+		
+		entry.newer = null;
+		entry.older = null;
+	}
+};
+
+
+
+
+/*
+*
+*	Phrase Matcher Business Object
+*
+*	Finds phrases (sequences of tokens) in a sequence of tokens with an Aho-Corasick automaton, i.e. a trie of the
+*	phrases whose nodes also link to the node of the longest suffix of their phrase that is in the trie. All
+*	occurrences of all phrases are found in a single pass over the tokens, however many phrases there are.
+*
+*/
+AUTOTAGS.PhraseMatcher = function( parameters ) {
+	this.numberOfPhrases = 0;
+	
+	if ( typeof parameters != 'undefined' ) {
+		for ( var property in parameters ) {
+			if( typeof this[property] != 'undefined' ) {
+				this[property] = parameters[property];
+			}
 		}
+	}
+	
+	// Each node has its transitions by '_' + token, its failure link, the length of its phrase (0 if it is only a
+	// prefix of phrases) and the lengths of all phrases ending in it
+	this._root = { 'next' : new Object(), 'fail' : null, 'length' : 0, 'lengths' : new Array() };
+	this._isBuilt = true;
+};
+
+AUTOTAGS.PhraseMatcher.prototype = {
+	/*
+	*	Adds a phrase, given as an array of (e.g. lowercase) tokens
+	*/
+	addPhrase : function( tokens ) {
+		if ( tokens.length == 0 ) return;
 		
-		return arrayToReturn;
+		var node = this._root;
+		
+		for ( var i = 0, length = tokens.length; i < length; i++ ) {
+			var key = '_' + tokens[i];
+			
+			if ( !node.next.hasOwnProperty( key ) ) {
+				node.next[key] = { 'next' : new Object(), 'fail' : null, 'length' : 0, 'lengths' : new Array() };
+			}
+			
+			node = node.next[key];
+		}
+		
+		if ( node.length == 0 ) {
+			node.length = tokens.length;
+			this.numberOfPhrases++;
+		}
+		
+		this._isBuilt = false;
+	},
+	
+	/*
+	*	Finds all occurrences of the phrases in the tokens (null tokens are breaks that no phrase is found across),
+	*	returning { 'start', 'end' } for each, the indexes of its first and last token (ordered by the last token)
+	*/
+	findAll : function( tokens ) {
+		if ( !this._isBuilt ) this._build();
+		
+		var matches = new Array();
+		var root = this._root;
+		var node = root;
+		
+		for ( var i = 0, length = tokens.length; i < length; i++ ) {
+			if ( tokens[i] == null ) {
+				node = root;
+				continue;
+			}
+			
+			var key = '_' + tokens[i];
+			
+			while ( node != root && !node.next.hasOwnProperty( key ) ) {
+				node = node.fail;
+			}
+			
+			node = node.next.hasOwnProperty( key ) ? node.next[key] : root;
+			
+			for ( var l = 0, numberOfLengths = node.lengths.length; l < numberOfLengths; l++ ) {
+				matches.push( { 'start' : i - node.lengths[l] + 1, 'end' : i } );
+			}
+		}
+		
+		return matches;
+	},
+	
+	/*
+	*	Sets the failure links breadth first, so that the link of a node's parent is set before its own, and adds the
+	*	lengths of the phrases ending in the node linked to (which are suffixes of the node's phrase)
+	*/
+	_build : function() {
+		var root = this._root;
+		var queue = new Array();
+		
+		for ( var key in root.next ) {
+			root.next[key].fail = root;
+			root.next[key].lengths = ( root.next[key].length > 0 ) ? [ root.next[key].length ] : new Array();
+			queue.push( root.next[key] );
+		}
+		
+		for ( var q = 0; q < queue.length; q++ ) {
+			var node = queue[q];
+			
+			for ( var key in node.next ) {
+				var child = node.next[key];
+				var fail = node.fail;
+				
+				while ( fail != root && !fail.next.hasOwnProperty( key ) ) {
+					fail = fail.fail;
+				}
+				
+				child.fail = ( fail.next.hasOwnProperty( key ) && fail.next[key] != child ) ? fail.next[key] : root;
+				child.lengths = ( ( child.length > 0 ) ? [ child.length ] : new Array() ).concat( child.fail.lengths );
+				queue.push( child );
+			}
+		}
+		
+		this._isBuilt = true;
 	}
 };
 
@@ -729,20 +2985,24 @@ AUTOTAGS.FrequencyList.prototype = {
 /*
 *	Get the root of a given word
 */
-AUTOTAGS._stemToken = function( token ) {
+AUTOTAGS._stemToken = function( token, language, cache ) {
 	token = token.toLowerCase();
+	if ( language == undefined ) language = AUTOTAGS.DEFAULT_LANGUAGE;
+	if ( cache == undefined ) cache = AUTOTAGS.STEM_CACHE;
+	
 	// Find the root of words and cache since stemming is fairly expensive in this context
-	if ( AUTOTAGS.VARIATION_CACHE['_' + token] != undefined ) {
+	var cacheKey = language + '_' + token;
+	var stemmedVariant = cache.get( cacheKey );
+	if ( stemmedVariant != undefined ) {
 		// Token is found in the cache
-		var stemmedVariant = AUTOTAGS.VARIATION_CACHE['_' + token];
 		return stemmedVariant;
 	} else {
 		// Token not in the cache, stemming and adding to the cache
 		try {
-			var stemmerImpl = AUTOTAGS._getStemmerImpl();
-			var stemmedVariant = stemmerImpl( token );
+			var stemmerImpl = AUTOTAGS._getStemmerImpl( language );
+			stemmedVariant = stemmerImpl( token );
 			
-			AUTOTAGS.VARIATION_CACHE['_' + token] = stemmedVariant;
+			cache.set( cacheKey, stemmedVariant );
 			
 			return stemmedVariant;
 		} catch ( e ) {
@@ -751,8 +3011,93 @@ AUTOTAGS._stemToken = function( token ) {
 	}
 };
 
-AUTOTAGS._getStemmerImpl = function() {
-	return stemWord;
+/*
+*	Returns the stemmer of the language pack. Languages without a stemmer are not stemmed, and the Porter
+*	stemmer is used when no language pack has been registered.
+*/
+AUTOTAGS._getStemmerImpl = function( language ) {
+	var languagePack = AUTOTAGS.LANGUAGES[language];
+	
+	if ( languagePack == undefined ) {
+		return stemWord;
+	} else if ( languagePack.STEMMER != undefined ) {
+		return languagePack.STEMMER;
+	} else {
+		return function( token ) { return token; };
+	}
+};
+
+/*
+*	Maps an offset in a text to the text normalised from it, given the replacements made (see _toOriginalOffset).
+*	Offsets within a replaced variant map to the start of its canonical term.
+*/
+AUTOTAGS._toNormalisedOffset = function( offset, replacements ) {
+	var i = AUTOTAGS._findLastNotAfter( replacements, offset, 'originalOffset' );
+	
+	if ( i < 0 ) {
+		return offset;
+	}
+	
+	var replacement = replacements[i];
+	var replacementEnd = replacement.originalOffset + replacement.originalLength;
+	
+	if ( offset < replacementEnd ) {
+		return replacement.offset;
+	}
+	
+	return offset + ( replacement.offset + replacement.length ) - replacementEnd;
+};
+
+/*
+*	Maps an offset in a normalised text back to the original text, given the replacements made (in order, see
+*	_normaliseText). Offsets within a replaced variant map to its start, or to its end for the end of a span.
+*/
+AUTOTAGS._toOriginalOffset = function( offset, replacements, isEnd ) {
+	var i = AUTOTAGS._findLastNotAfter( replacements, isEnd ? offset - 1 : offset, 'offset' );
+	
+	if ( i < 0 ) {
+		return offset;
+	}
+	
+	var replacement = replacements[i];
+	var replacementEnd = replacement.offset + replacement.length;
+	
+	if ( offset < replacementEnd || ( isEnd && offset == replacementEnd ) ) {
+		return isEnd ? replacement.originalOffset + replacement.originalLength : replacement.originalOffset;
+	}
+	
+	return offset + ( replacement.originalOffset + replacement.originalLength ) - replacementEnd;
+};
+
+/*
+*	Binary search for the index of the last value in a sorted array (or of the last object by the property given)
+*	that is not greater than value, -1 if there is none
+*/
+AUTOTAGS._findLastNotAfter = function( array, value, property ) {
+	var low = 0;
+	var high = array.length - 1;
+	var found = -1;
+	
+	while ( low <= high ) {
+		var middle = ( low + high ) >> 1;
+		var middleValue = ( property != undefined ) ? array[middle][property] : array[middle];
+		
+		if ( middleValue <= value ) {
+			found = middle;
+			low = middle + 1;
+		} else {
+			high = middle - 1;
+		}
+	}
+	
+	return found;
+};
+
+/*
+*	Escapes all regular expression metacharacters in a string
+*/
+AUTOTAGS._escapeRegExp = function( string ) {
+	return string.replace( /([\\\^\$\.\|\?\*\+\(\)\[\]\{\}\/])/g, '\\$1' );
 };
 
 AUTOTAGS.trim = function( string ) {
@@ -765,6 +3110,50 @@ AUTOTAGS.trim = function( string ) {
 	return string.slice(0, len + 1);
 };
 
+/*
+*	Returns a copy of the array with the value(s) added, unless they are in it already
+*/
+AUTOTAGS._arrayWith = function( array, values ) {
+	var arrayToReturn = ( array != undefined ) ? array.slice( 0 ) : new Array();
+	
+	values = ( typeof values == 'string' ) ? [ values ] : values;
+	for ( var i = 0, length = values.length; i < length; i++ ) {
+		if ( !AUTOTAGS._arrayContains( arrayToReturn, values[i] ) ) arrayToReturn.push( values[i] );
+	}
+	
+	return arrayToReturn;
+};
+
+/*
+*	Returns a copy of the array with the value(s) removed
+*/
+AUTOTAGS._arrayWithout = function( array, values ) {
+	var arrayToReturn = new Array();
+	
+	values = ( typeof values == 'string' ) ? [ values ] : values;
+	if ( array != undefined ) {
+		for ( var i = 0, length = array.length; i < length; i++ ) {
+			if ( !AUTOTAGS._arrayContains( values, array[i] ) ) arrayToReturn.push( array[i] );
+		}
+	}
+	
+	return arrayToReturn;
+};
+
+/*
+*	Lowercases a term or an array of terms, always returning an array
+*/
+AUTOTAGS._toLowerCase = function( terms ) {
+	terms = ( typeof terms == 'string' ) ? [ terms ] : terms;
+	
+	var lowercaseTerms = new Array();
+	for ( var i = 0, length = terms.length; i < length; i++ ) {
+		lowercaseTerms.push( terms[i].toLowerCase() );
+	}
+	
+	return lowercaseTerms;
+};
+
 AUTOTAGS._arrayContains = function( array, obj ) {
 	try {
 		return array.indexOf( obj ) > -1;
@@ -787,5 +3176,6 @@ AUTOTAGS._arrayContains = function( array, obj ) {
 *
 */
 
-// This is a cache of all root words (stemmed variants) for quick lookup (stemming is fairly expensive in this context)
-AUTOTAGS.VARIATION_CACHE = {};
\ No newline at end of file
+// This is a cache of root words (stemmed variants) for quick lookup (stemming is fairly expensive in this context),
+// shared by all taggers without a STEM_CACHE of their own
+AUTOTAGS.STEM_CACHE = new AUTOTAGS.LRUCache();
\ No newline at end of file
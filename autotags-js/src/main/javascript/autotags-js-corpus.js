@@ -0,0 +1,143 @@
+/**
+*	A U T O T A G S
+*	Corpus level statistics (inverse document frequencies) for AutoTags.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+
+
+
+
+/*
+*
+*	Corpus Business Object
+*
+*	Keeps track of the number of documents each term appears in, so that terms which are common across all
+*	documents (e.g. 'said' or 'company' in a news archive) can be downweighted even though they are not
+*	stopwords. A tagger uses the corpus when it is passed as the CORPUS parameter:
+*
+*		var corpus = new AUTOTAGS.Corpus();
+*		corpus.addDocuments( archive );
+*		var tagger = new AUTOTAGS.createTagger({ 'CORPUS' : corpus });
+*
+*	The corpus can be stored with JSON.stringify( corpus ) and loaded again with AUTOTAGS.Corpus.fromJSON.
+*
+*/
+AUTOTAGS.Corpus = function( parameters ) {
+	this.numberOfDocuments = 0;
+	this.documentFrequencies = new Object();
+	
+	if ( typeof parameters != 'undefined' ) {
+		for ( var property in parameters ) {
+			if( typeof this[property] != 'undefined' ) {
+				this[property] = parameters[property];
+			}
+		}
+	}
+};
+
+AUTOTAGS.Corpus.SERIALIZATION_VERSION = 1;
+
+AUTOTAGS.Corpus.prototype = {
+	/*
+	*	Adds a document to the corpus. The candidate terms are identified by the tagger given (or a default
+	*	tagger), so the term ids match those the tagger will later look up. The document is read in the
+	*	INPUT_FORMAT of the tagger.
+	*/
+	addDocument : function( text, tagger ) {
+		if ( tagger == undefined ) {
+			tagger = new AUTOTAGS.createTagger();
+		}
+		
+		var frequencyLists = tagger._createFrequencyLists();
+		var fields = tagger._toFields( text );
+		var fieldTexts = new Array();
+		
+		for ( var fieldName in fields ) {
+			var fieldText = ( typeof fields[fieldName] == 'object' && fields[fieldName] != null ) ? fields[fieldName].text : fields[fieldName];
+			if ( typeof fieldText == 'string' && fieldText.length > 0 ) fieldTexts.push( fieldText );
+		}
+		
+		var languageTagger = tagger._getLanguageTagger( tagger.getLanguage( fieldTexts.join( '\n' ) ) );
+		
+		for ( var i = 0, length = fieldTexts.length; i < length; i++ ) {
+			languageTagger._buildFrequencyLists( fieldTexts[i], 1, frequencyLists );
+		}
+		
+		// Each term is only counted once per document, even if it is found in more than one list
+		var termsInDocument = new Object();
+		
+		for ( var listName in frequencyLists ) {
+			for ( var termId in frequencyLists[listName].getTerms() ) {
+				termsInDocument[termId] = true;
+			}
+		}
+		
+		for ( var termId in termsInDocument ) {
+			this.documentFrequencies[termId] = this.getDocumentFrequency( termId ) + 1;
+		}
+		
+		this.numberOfDocuments++;
+	},
+	
+	addDocuments : function( texts, tagger ) {
+		if ( tagger == undefined ) {
+			tagger = new AUTOTAGS.createTagger();
+		}
+		
+		for ( var i = 0, length = texts.length; i < length; i++ ) {
+			this.addDocument( texts[i], tagger );
+		}
+	},
+	
+	getDocumentFrequency : function( termId ) {
+		return this.documentFrequencies.hasOwnProperty( termId ) ? this.documentFrequencies[termId] : 0;
+	},
+	
+	/*
+	*	Smoothed inverse document frequency, terms not found in the corpus get the highest value
+	*/
+	getIdf : function( termId ) {
+		return Math.log( ( 1 + this.numberOfDocuments ) / ( 1 + this.getDocumentFrequency( termId ) ) ) + 1;
+	},
+	
+	toJSON : function() {
+		return {
+			'version' : AUTOTAGS.Corpus.SERIALIZATION_VERSION,
+			'numberOfDocuments' : this.numberOfDocuments,
+			'documentFrequencies' : this.documentFrequencies
+		};
+	}
+};
+
+/*
+*	Creates a corpus from the output of toJSON (either the object or its string representation)
+*/
+AUTOTAGS.Corpus.fromJSON = function( json ) {
+	if ( typeof json == 'string' ) {
+		json = JSON.parse( json );
+	}
+	
+	if ( json.version != AUTOTAGS.Corpus.SERIALIZATION_VERSION ) {
+		throw new Error( 'Unsupported corpus version: ' + json.version );
+	}
+	
+	return new AUTOTAGS.Corpus({
+		'numberOfDocuments' : json.numberOfDocuments,
+		'documentFrequencies' : json.documentFrequencies
+	});
+};
@@ -0,0 +1,385 @@
+/**
+*	A U T O T A G S
+*	HTML and Markdown input formats for AutoTags.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+
+
+
+
+/*
+*
+*	Markup Input Formats
+*
+*	Turn HTML or Markdown into the fields passed to analyzeFields, so that tags, attributes, URLs of links and
+*	entities like &nbsp; never end up as tags. A tagger uses them when they are set as its INPUT_FORMAT:
+*
+*		var tagger = new AUTOTAGS.createTagger({ 'INPUT_FORMAT' : 'html', 'IGNORE_CODE' : true });
+*		var tagSet = tagger.analyzeText( html );
+*
+*	The text of the document goes into the 'body' field, with a boundary after every block (paragraphs, list
+*	items, headings, table cells etc.) so that no compound terms are created across blocks. The text of headings,
+*	emphasized text and link texts is also copied into the 'headings', 'emphasis' and 'links' fields, so that
+*	their weights in FIELD_WEIGHTS are extra weight on top of the body. The <title> (or the title of the front
+*	matter of Markdown) and the alt texts of images are only found in the 'title' and 'alt' fields.
+*
+*	The offsets of the terms found refer to the text of these fields, not the markup.
+*
+*/
+AUTOTAGS.MARKUP_FIELDS = [ 'title', 'headings', 'body', 'emphasis', 'links', 'alt' ];
+
+// Elements that end a block of text
+AUTOTAGS.HTML_BLOCK_ELEMENTS = {
+	'address' : true, 'article' : true, 'aside' : true, 'blockquote' : true, 'body' : true, 'br' : true, 'caption' : true,
+	'dd' : true, 'details' : true, 'dialog' : true, 'div' : true, 'dl' : true, 'dt' : true, 'fieldset' : true,
+	'figcaption' : true, 'figure' : true, 'footer' : true, 'form' : true, 'h1' : true, 'h2' : true, 'h3' : true,
+	'h4' : true, 'h5' : true, 'h6' : true, 'head' : true, 'header' : true, 'hr' : true, 'html' : true, 'legend' : true,
+	'li' : true, 'main' : true, 'nav' : true, 'ol' : true, 'option' : true, 'p' : true, 'pre' : true, 'section' : true,
+	'summary' : true, 'table' : true, 'tbody' : true, 'td' : true, 'tfoot' : true, 'th' : true, 'thead' : true,
+	'title' : true, 'tr' : true, 'ul' : true
+};
+
+// Elements whose text is copied into a field of its own
+AUTOTAGS.HTML_FIELD_ELEMENTS = {
+	'title' : 'title',
+	'h1' : 'headings', 'h2' : 'headings', 'h3' : 'headings', 'h4' : 'headings', 'h5' : 'headings', 'h6' : 'headings',
+	'strong' : 'emphasis', 'b' : 'emphasis', 'em' : 'emphasis', 'mark' : 'emphasis',
+	'a' : 'links'
+};
+
+// Elements that never contain text to tag
+AUTOTAGS.HTML_IGNORED_ELEMENTS = [ 'script', 'style', 'template', 'noscript', 'svg', 'math', 'object', 'iframe', 'select', 'textarea' ];
+
+// Elements containing code, only ignored if the IGNORE_CODE parameter of the tagger is set
+AUTOTAGS.HTML_CODE_ELEMENTS = [ 'pre', 'code', 'kbd', 'samp' ];
+
+// Named entities (numeric entities are decoded as well), any other entity is replaced by a space
+AUTOTAGS.HTML_ENTITIES = {
+	'amp' : '&', 'lt' : '<', 'gt' : '>', 'quot' : '"', 'apos' : "'", 'nbsp' : ' ', 'shy' : '',
+	'ndash' : '–', 'mdash' : '—', 'hellip' : '…', 'bull' : '•', 'middot' : '·',
+	'lsquo' : '‘', 'rsquo' : '’', 'sbquo' : '‚', 'ldquo' : '“', 'rdquo' : '”', 'bdquo' : '„',
+	'laquo' : '«', 'raquo' : '»', 'lsaquo' : '‹', 'rsaquo' : '›',
+	'copy' : '©', 'reg' : '®', 'trade' : '™', 'deg' : '°', 'sect' : '§', 'para' : '¶',
+	'euro' : '€', 'pound' : '£', 'yen' : '¥', 'cent' : '¢', 'times' : '×', 'divide' : '÷',
+	'iexcl' : '¡', 'iquest' : '¿', 'szlig' : 'ß',
+	'Agrave' : 'À', 'Aacute' : 'Á', 'Acirc' : 'Â', 'Atilde' : 'Ã', 'Auml' : 'Ä', 'Aring' : 'Å', 'AElig' : 'Æ',
+	'Ccedil' : 'Ç', 'Egrave' : 'È', 'Eacute' : 'É', 'Ecirc' : 'Ê', 'Euml' : 'Ë',
+	'Igrave' : 'Ì', 'Iacute' : 'Í', 'Icirc' : 'Î', 'Iuml' : 'Ï', 'ETH' : 'Ð', 'Ntilde' : 'Ñ',
+	'Ograve' : 'Ò', 'Oacute' : 'Ó', 'Ocirc' : 'Ô', 'Otilde' : 'Õ', 'Ouml' : 'Ö', 'Oslash' : 'Ø',
+	'Ugrave' : 'Ù', 'Uacute' : 'Ú', 'Ucirc' : 'Û', 'Uuml' : 'Ü', 'Yacute' : 'Ý', 'THORN' : 'Þ',
+	'agrave' : 'à', 'aacute' : 'á', 'acirc' : 'â', 'atilde' : 'ã', 'auml' : 'ä', 'aring' : 'å', 'aelig' : 'æ',
+	'ccedil' : 'ç', 'egrave' : 'è', 'eacute' : 'é', 'ecirc' : 'ê', 'euml' : 'ë',
+	'igrave' : 'ì', 'iacute' : 'í', 'icirc' : 'î', 'iuml' : 'ï', 'eth' : 'ð', 'ntilde' : 'ñ',
+	'ograve' : 'ò', 'oacute' : 'ó', 'ocirc' : 'ô', 'otilde' : 'õ', 'ouml' : 'ö', 'oslash' : 'ø',
+	'ugrave' : 'ù', 'uacute' : 'ú', 'ucirc' : 'û', 'uuml' : 'ü', 'yacute' : 'ý', 'thorn' : 'þ', 'yuml' : 'ÿ',
+	'OElig' : 'Œ', 'oelig' : 'œ', 'Scaron' : 'Š', 'scaron' : 'š', 'Yuml' : 'Ÿ'
+};
+
+
+/*
+*	Decodes the entities of HTML (and Markdown) text
+*/
+AUTOTAGS.decodeEntities = function( text ) {
+	return text.replace( /&(#[0-9]+|#[xX][0-9a-fA-F]+|[a-zA-Z][a-zA-Z0-9]*);?/g, function( entity, name ) {
+		if ( name.charAt( 0 ) == '#' ) {
+			var codePoint = ( name.charAt( 1 ) == 'x' || name.charAt( 1 ) == 'X' ) ? parseInt( name.substring( 2 ), 16 ) : parseInt( name.substring( 1 ), 10 );
+			
+			if ( codePoint > 0 && codePoint <= 0x10FFFF && ( codePoint < 0xD800 || codePoint > 0xDFFF ) ) {
+				if ( codePoint <= 0xFFFF ) return String.fromCharCode( codePoint );
+				
+				codePoint -= 0x10000;
+				return String.fromCharCode( 0xD800 + ( codePoint >> 10 ), 0xDC00 + ( codePoint & 0x3FF ) );
+			}
+			
+			return ' ';
+		}
+		
+		if ( AUTOTAGS.HTML_ENTITIES.hasOwnProperty( name ) ) return AUTOTAGS.HTML_ENTITIES[name];
+		
+		// Only treating it as an entity if it was terminated, otherwise e.g. 'R&D' would be lost
+		return ( entity.charAt( entity.length - 1 ) == ';' ) ? ' ' : entity;
+	});
+};
+
+
+/*
+*	Collects the text of each markup field, see AUTOTAGS.MARKUP_FIELDS
+*/
+AUTOTAGS._createMarkupFields = function() {
+	var fields = new Object();
+	
+	for ( var i = 0, length = AUTOTAGS.MARKUP_FIELDS.length; i < length; i++ ) {
+		fields[AUTOTAGS.MARKUP_FIELDS[i]] = new Array();
+	}
+	
+	return fields;
+};
+
+/*
+*	Joins the text collected for each markup field, leaving out fields without any text
+*/
+AUTOTAGS._joinMarkupFields = function( fields ) {
+	var joinedFields = new Object();
+	
+	for ( var i = 0, length = AUTOTAGS.MARKUP_FIELDS.length; i < length; i++ ) {
+		var fieldName = AUTOTAGS.MARKUP_FIELDS[i];
+		var text = fields[fieldName].join( '' ).replace( /[ \t]*\n[ \t]*/g, '\n' ).replace( /\n{3,}/g, '\n\n' ).replace( /^\s+|\s+$/g, '' );
+		
+		if ( text.length > 0 ) {
+			joinedFields[fieldName] = text;
+		}
+	}
+	
+	return joinedFields;
+};
+
+
+/*
+*
+*	HTML
+*
+*	The markup is not parsed into a tree, the tags are read in order while keeping count of the elements
+*	that are open (which copes with the unclosed <p> and <li> elements of real world HTML).
+*
+*/
+AUTOTAGS.htmlToFields = function( html, tagger ) {
+	var ignoreCode = ( tagger != undefined && tagger.IGNORE_CODE );
+	var fields = AUTOTAGS._createMarkupFields();
+	var openElements = { 'title' : 0, 'headings' : 0, 'emphasis' : 0, 'links' : 0, 'pre' : 0 };
+	
+	// Removing comments and the elements that do not contain text (along with their content)
+	var ignoredElements = AUTOTAGS.HTML_IGNORED_ELEMENTS.concat( ignoreCode ? AUTOTAGS.HTML_CODE_ELEMENTS : [] );
+	
+	html = html.replace( /<!--[\s\S]*?(-->|$)/g, ' ' ).replace( /<!\[CDATA\[[\s\S]*?\]\]>/g, ' ' );
+	html = html.replace( new RegExp( '<(' + ignoredElements.join( '|' ) + ')\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>', 'gi' ), ' ' );
+	
+	var expression = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>|([^<]+|<)/g;
+	var match;
+	
+	while ( ( match = expression.exec( html ) ) != null ) {
+		if ( match[4] != undefined ) {
+			var text = AUTOTAGS.decodeEntities( match[4] );
+			
+			// Whitespace is only significant within <pre>
+			text = ( openElements.pre > 0 ) ? text.replace( /[ \t\f\r]+/g, ' ' ) : text.replace( /\s+/g, ' ' );
+			
+			if ( openElements.title > 0 ) {
+				fields.title.push( text );
+				continue;
+			}
+			
+			fields.body.push( text );
+			
+			if ( openElements.headings > 0 ) fields.headings.push( text );
+			if ( openElements.emphasis > 0 ) fields.emphasis.push( text );
+			if ( openElements.links > 0 ) fields.links.push( text );
+		} else if ( match[2] != undefined ) {
+			var elementName = match[2].toLowerCase();
+			var isClosingTag = ( match[1] == '/' );
+			var fieldName = AUTOTAGS.HTML_FIELD_ELEMENTS[elementName];
+			
+			if ( elementName == 'pre' ) {
+				openElements.pre = Math.max( 0, openElements.pre + ( isClosingTag ? -1 : 1 ) );
+			}
+			
+			if ( fieldName != undefined ) {
+				openElements[fieldName] = Math.max( 0, openElements[fieldName] + ( isClosingTag ? -1 : 1 ) );
+				
+				// Keeping the texts of separate elements apart
+				if ( isClosingTag ) fields[fieldName].push( '\n' );
+			}
+			
+			if ( AUTOTAGS.HTML_BLOCK_ELEMENTS[elementName] ) {
+				fields.body.push( ( elementName == 'br' ) ? '\n' : '\n\n' );
+			}
+			
+			if ( !isClosingTag && ( elementName == 'img' || elementName == 'area' || elementName == 'input' ) ) {
+				var alt = /\balt\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i.exec( match[3] );
+				
+				if ( alt != null ) {
+					fields.alt.push( AUTOTAGS.decodeEntities( alt[1] || alt[2] || alt[3] ).replace( /\s+/g, ' ' ) + '\n' );
+				}
+			}
+		}
+	}
+	
+	return AUTOTAGS._joinMarkupFields( fields );
+};
+
+
+/*
+*
+*	Markdown
+*
+*	The blocks are read line by line (lines within a paragraph are joined, as they are in the rendered text) and
+*	the inline markup of each block is then removed. Covers the common syntax of CommonMark and GitHub flavoured
+*	Markdown, along with the HTML found in Markdown documents.
+*
+*/
+AUTOTAGS.markdownToFields = function( markdown, tagger ) {
+	var ignoreCode = ( tagger != undefined && tagger.IGNORE_CODE );
+	var fields = AUTOTAGS._createMarkupFields();
+	var lines = markdown.replace( /\r\n?/g, '\n' ).split( '\n' );
+	var paragraph = new Array();
+	var i = 0;
+	
+	var endParagraph = function() {
+		if ( paragraph.length > 0 ) {
+			AUTOTAGS._addMarkdownBlock( paragraph.join( ' ' ), fields, null, ignoreCode );
+			paragraph = new Array();
+		}
+	};
+	
+	// Front matter, only its title is kept
+	if ( /^---\s*$/.test( lines[0] ) ) {
+		for ( var end = 1; end < lines.length; end++ ) {
+			if ( /^(---|\.\.\.)\s*$/.test( lines[end] ) ) {
+				for ( var j = 1; j < end; j++ ) {
+					var title = /^title\s*:\s*(['"]?)(.*)\1\s*$/.exec( lines[j] );
+					if ( title != null ) fields.title.push( title[2] + '\n' );
+				}
+				
+				i = end + 1;
+				break;
+			}
+		}
+	}
+	
+	for ( var length = lines.length; i < length; i++ ) {
+		// Block quotes are read as if they were not quoted
+		var line = lines[i].replace( /^ {0,3}(> ?)+/, '' );
+		var match;
+		
+		if ( ( match = /^ {0,3}(`{3,}|~{3,})/.exec( line ) ) != null ) {
+			// Fenced code block
+			var fence = match[1];
+			var code = new Array();
+			
+			endParagraph();
+			
+			while ( ++i < length && !( new RegExp( '^ {0,3}' + fence.charAt( 0 ) + '{' + fence.length + ',}\\s*$' ) ).test( lines[i] ) ) {
+				code.push( lines[i] );
+			}
+			
+			if ( !ignoreCode ) fields.body.push( code.join( '\n' ) + '\n\n' );
+		} else if ( /^(    |\t)/.test( line ) && paragraph.length == 0 ) {
+			// Indented code block (an indented line within a paragraph is a continuation line)
+			if ( !ignoreCode ) fields.body.push( line.replace( /^(    |\t)/, '' ) + '\n' );
+		} else if ( /^\s*$/.test( line ) ) {
+			endParagraph();
+			fields.body.push( '\n' );
+		} else if ( ( match = /^ {0,3}#{1,6}(?:\s+(.*?))?(?:\s+#+)?\s*$/.exec( line ) ) != null ) {
+			endParagraph();
+			AUTOTAGS._addMarkdownBlock( match[1] || '', fields, 'headings', ignoreCode );
+		} else if ( paragraph.length > 0 && /^ {0,3}(=+|-+)\s*$/.test( line ) ) {
+			// Setext heading, the paragraph read so far is the heading
+			AUTOTAGS._addMarkdownBlock( paragraph.join( ' ' ), fields, 'headings', ignoreCode );
+			paragraph = new Array();
+		} else if ( /^ {0,3}([-*_])( *\1){2,}\s*$/.test( line ) ) {
+			// Thematic break
+			endParagraph();
+		} else if ( /^ {0,3}\[[^\]]+\]:\s*\S+/.test( line ) ) {
+			// Link reference definition
+			endParagraph();
+		} else if ( /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test( line ) && line.indexOf( '|' ) >= 0 ) {
+			// Delimiter row of a table
+		} else if ( /^\s*\|/.test( line ) || ( paragraph.length == 0 && /\S\s*\|\s*\S/.test( line ) && /^\s*\|?\s*:?-+:?\s*\|/.test( lines[i + 1] || '' ) ) ) {
+			// Table row, each cell is a block of its own
+			endParagraph();
+			
+			var cells = line.replace( /^\s*\||\|\s*$/g, '' ).split( '|' );
+			for ( var c = 0; c < cells.length; c++ ) {
+				AUTOTAGS._addMarkdownBlock( cells[c], fields, null, ignoreCode );
+			}
+		} else if ( ( match = /^\s*(?:[-*+]|[0-9]{1,9}[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec( line ) ) != null ) {
+			// List item (task list items included)
+			endParagraph();
+			paragraph.push( match[1] );
+		} else {
+			paragraph.push( line.replace( /^\s+/, '' ) );
+		}
+	}
+	
+	endParagraph();
+	
+	return AUTOTAGS._joinMarkupFields( fields );
+};
+
+/*
+*	Removes the inline markup of a block of Markdown, adding its text to the body (and to the field given)
+*/
+AUTOTAGS._addMarkdownBlock = function( block, fields, fieldName, ignoreCode ) {
+	var codeSpans = new Array();
+	var toText = function( text ) {
+		text = text.replace( /\u0000([0-9]+)\u0000/g, function( placeholder, index ) {
+			return codeSpans[index];
+		});
+		
+		return AUTOTAGS.decodeEntities( text ).replace( /\s+/g, ' ' );
+	};
+	
+	// Code spans are set aside first, so that nothing within them is taken for markup
+	block = block.replace( /(`+)([\s\S]*?[^`])\1(?!`)/g, function( codeSpan, backticks, code ) {
+		codeSpans.push( ignoreCode ? ' ' : code.replace( /^ | $/g, '' ) );
+		return '\u0000' + ( codeSpans.length - 1 ) + '\u0000';
+	});
+	
+	// Escaped characters are set aside as well
+	block = block.replace( /\\([!"#$%&'()*+,\-.\/:;<=>?@\[\\\]^_`{|}~])/g, function( escape, character ) {
+		codeSpans.push( character );
+		return '\u0000' + ( codeSpans.length - 1 ) + '\u0000';
+	});
+	
+	// Images, the alt text is not part of the text
+	block = block.replace( /!\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])?/g, function( image, alt ) {
+		if ( alt.length > 0 ) fields.alt.push( toText( alt ) + '\n' );
+		return ' ';
+	});
+	
+	// Links (inline, reference and autolinks), only the text of the link is kept
+	block = block.replace( /\[([^\]]+)\](\([^)]*\)|\[[^\]]*\])?/g, function( link, text ) {
+		fields.links.push( toText( text ) + '\n' );
+		return text;
+	});
+	block = block.replace( /<((?:https?|ftp|mailto):[^>\s]+)>/gi, '$1' );
+	
+	// HTML within the Markdown
+	block = block.replace( /<\/?[a-zA-Z][a-zA-Z0-9]*(?:[^>"']|"[^"]*"|'[^']*')*>|<!--[\s\S]*?-->/g, ' ' );
+	
+	// Emphasis, intraword underscores (as in snake_case) are not emphasis
+	block = block.replace( /(\*{2,3}|_{2,3})(?=\S)([\s\S]*?\S)\1|(^|[^\w*])(\*|_)(?=[^\s*_])([\s\S]*?[^\s\\])\4(?![\w*])|~~(?=\S)([\s\S]*?\S)~~/g, function( emphasis, strongMarker, strongText, before, marker, text, strikethroughText ) {
+		if ( strikethroughText != undefined ) return strikethroughText;
+		
+		var emphasizedText = ( strongText != undefined ) ? strongText : text;
+		
+		// Nested emphasis, e.g. **_both_**
+		emphasizedText = emphasizedText.replace( /^[*_]+|[*_]+$/g, '' );
+		fields.emphasis.push( toText( emphasizedText ) + '\n' );
+		
+		return ( strongText != undefined ) ? emphasizedText : before + emphasizedText;
+	});
+	
+	block = toText( block );
+	
+	fields.body.push( block + '\n\n' );
+	if ( fieldName != null ) fields[fieldName].push( block + '\n' );
+};
+
+
+AUTOTAGS.INPUT_FORMATS['html'] = AUTOTAGS.htmlToFields;
+AUTOTAGS.INPUT_FORMATS['markdown'] = AUTOTAGS.markdownToFields;
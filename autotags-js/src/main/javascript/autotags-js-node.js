@@ -0,0 +1,64 @@
+/**
+*	A U T O T A G S
+*	Node.js (CommonJS) entry point for AutoTags.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+
+/*
+*
+*	The library files are written to be loaded with <script> tags, sharing the global AUTOTAGS (and stemWord).
+*	Here they are loaded in the same order, but evaluated within a single function scope so that nothing
+*	is added to the global scope of Node.js. The AUTOTAGS object is exported:
+*
+*		var AUTOTAGS = require( 'autotags-js' );
+*		var tagger = new AUTOTAGS.createTagger({ 'language' : 'de' });
+*
+*	The sample word lists in custom/ are not loaded, use the WHITELIST, BLACKLIST and TAG_CONSTANTS
+*	parameters of the tagger instead.
+*
+*/
+var fs = require( 'fs' );
+var path = require( 'path' );
+var vm = require( 'vm' );
+
+// The library files, in the order they have to be loaded in
+var LIBRARY_FILES = [
+	'../../../lib/PorterStemmer.js',
+	'autotags-js-core.js',
+	'autotags-js-corpus.js',
+	'autotags-js-markup.js',
+	'autotags-js-taxonomy.js',
+	'en/autotags-js-en.js',
+	'en/autotags-js-en-blacklist-generic.js',
+	'de/autotags-js-de.js',
+	'de/autotags-js-de-blacklist-generic.js',
+	'fr/autotags-js-fr.js',
+	'fr/autotags-js-fr-blacklist-generic.js',
+	'es/autotags-js-es.js',
+	'es/autotags-js-es-blacklist-generic.js'
+];
+
+var source = '(function() {\n';
+
+for ( var i = 0, length = LIBRARY_FILES.length; i < length; i++ ) {
+	source += fs.readFileSync( path.join( __dirname, LIBRARY_FILES[i] ), 'utf8' ) + '\n;\n';
+}
+
+source += 'AUTOTAGS.stemWord = stemWord;\nreturn AUTOTAGS;\n})';
+
+module.exports = vm.runInThisContext( source, { 'filename' : path.join( __dirname, 'autotags-js.js' ) } )();
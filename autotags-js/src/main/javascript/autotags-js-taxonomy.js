@@ -0,0 +1,278 @@
+/**
+*	A U T O T A G S
+*	Controlled vocabularies (taxonomies) for AutoTags.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+
+
+
+
+/*
+*
+*	Taxonomy Business Object
+*
+*	A controlled vocabulary of nodes, each with an id, a label, the id of its parent (or null) and aliases. When a
+*	tagger is given a TAXONOMY it only suggests the nodes its tags match, by label or alias (exactly, or else with
+*	each word stemmed), each with a confidence between 0 and 1:
+*
+*		var taxonomy = new AUTOTAGS.Taxonomy();
+*		taxonomy.addNodes([
+*			{ 'id' : 'ai', 'label' : 'Artificial Intelligence', 'aliases' : [ 'AI' ], 'children' : [
+*				{ 'id' : 'ml', 'label' : 'Machine Learning' }
+*			] }
+*		]);
+*		var tagger = new AUTOTAGS.createTagger({ 'TAXONOMY' : taxonomy, 'TAXONOMY_ROLL_UP' : true });
+*
+*	The taxonomy can be stored with JSON.stringify( taxonomy ) and loaded again with AUTOTAGS.Taxonomy.fromJSON.
+*
+*/
+AUTOTAGS.Taxonomy = function( parameters ) {
+	this.nodes = new Object(); // The nodes { 'id', 'label', 'parent', 'aliases' } by '_' + id
+	this.stemCache = null; // The cache used when stemming labels and aliases, AUTOTAGS.STEM_CACHE is used if not set
+	
+	if ( typeof parameters != 'undefined' ) {
+		for ( var property in parameters ) {
+			if( typeof this[property] != 'undefined' ) {
+				this[property] = parameters[property];
+			}
+		}
+	}
+	
+	// Node ids by lowercase label and by lowercase alias, and by stemmed label or alias for each language
+	this._reindex();
+};
+
+AUTOTAGS.Taxonomy.SERIALIZATION_VERSION = 1;
+
+// The confidence in a match of each type, see Taxonomy.match
+AUTOTAGS.TAXONOMY_MATCH_CONFIDENCES = {
+	'exact' : 1,
+	'alias' : 0.9,
+	'stemmed' : 0.75
+};
+
+AUTOTAGS.Taxonomy.prototype = {
+	/*
+	*	Adds a node { 'id', 'label', 'parent', 'aliases', 'children' }, only the label is required (it is the id if no
+	*	id is given). The children, if any, are added as nodes with this node as their parent. Adding a node with
+	*	the id of an existing node replaces it.
+	*/
+	addNode : function( node ) {
+		var id = ( node.id != undefined ) ? String( node.id ) : node.label;
+		var isReplaced = this.nodes.hasOwnProperty( '_' + id );
+		
+		var nodeToAdd = {
+			'id' : id,
+			'label' : node.label,
+			'parent' : ( node.parent != undefined ) ? String( node.parent ) : null,
+			'aliases' : ( node.aliases != undefined ) ? node.aliases.slice( 0 ) : new Array()
+		};
+		
+		this.nodes['_' + id] = nodeToAdd;
+		
+		if ( isReplaced ) {
+			this._reindex();
+		} else {
+			this._indexNode( nodeToAdd );
+		}
+		
+		if ( node.children != undefined ) {
+			for ( var i = 0, length = node.children.length; i < length; i++ ) {
+				var child = node.children[i];
+				
+				this.addNode({
+					'id' : child.id,
+					'label' : child.label,
+					'parent' : id,
+					'aliases' : child.aliases,
+					'children' : child.children
+				});
+			}
+		}
+	},
+	
+	addNodes : function( nodes ) {
+		for ( var i = 0, length = nodes.length; i < length; i++ ) {
+			this.addNode( nodes[i] );
+		}
+	},
+	
+	getNode : function( id ) {
+		return this.nodes.hasOwnProperty( '_' + id ) ? this.nodes['_' + id] : undefined;
+	},
+	
+	getParent : function( id ) {
+		var node = this.getNode( id );
+		
+		return ( node != undefined && node.parent != null ) ? this.getNode( node.parent ) : undefined;
+	},
+	
+	/*
+	*	Returns the parent of the node, its parent and so on, nearest first
+	*/
+	getAncestors : function( id ) {
+		var ancestors = new Array();
+		var visited = new Object();
+		var parent = this.getParent( id );
+		
+		visited['_' + id] = true;
+		
+		// Guarding against cycles in the hierarchy
+		while ( parent != undefined && !visited.hasOwnProperty( '_' + parent.id ) ) {
+			visited['_' + parent.id] = true;
+			ancestors.push( parent );
+			parent = this.getParent( parent.id );
+		}
+		
+		return ancestors;
+	},
+	
+	getNumberOfNodes : function() {
+		var numberOfNodes = 0;
+		
+		for ( var key in this.nodes ) {
+			numberOfNodes++;
+		}
+		
+		return numberOfNodes;
+	},
+	
+	/*
+	*	Finds the node matching the value (e.g. a tag), trying an exact match of a label first, then of an alias, and
+	*	then of a label or an alias with each word stemmed in the language given. Returns { 'node', 'matchType',
+	*	'confidence' } (see AUTOTAGS.TAXONOMY_MATCH_CONFIDENCES) or null if no node matches.
+	*/
+	match : function( value, language ) {
+		var key = '_' + value.toLowerCase();
+		var matchType = null;
+		var id;
+		
+		if ( this._labels.hasOwnProperty( key ) ) {
+			matchType = 'exact';
+			id = this._labels[key];
+		} else if ( this._aliases.hasOwnProperty( key ) ) {
+			matchType = 'alias';
+			id = this._aliases[key];
+		} else {
+			var stemmedIndex = this._getStemmedIndex( language );
+			var stemmedKey = '_' + this._stem( value, language );
+			
+			if ( stemmedIndex.hasOwnProperty( stemmedKey ) ) {
+				matchType = 'stemmed';
+				id = stemmedIndex[stemmedKey];
+			}
+		}
+		
+		if ( matchType == null || this.getNode( id ) == undefined ) {
+			return null;
+		}
+		
+		return { 'node' : this.getNode( id ), 'matchType' : matchType, 'confidence' : AUTOTAGS.TAXONOMY_MATCH_CONFIDENCES[matchType] };
+	},
+	
+	_reindex : function() {
+		this._labels = new Object();
+		this._aliases = new Object();
+		this._stemmedIndexes = new Object();
+		
+		for ( var key in this.nodes ) {
+			this._indexNode( this.nodes[key] );
+		}
+	},
+	
+	_indexNode : function( node ) {
+		this._labels['_' + node.label.toLowerCase()] = node.id;
+		
+		for ( var i = 0, length = node.aliases.length; i < length; i++ ) {
+			this._aliases['_' + node.aliases[i].toLowerCase()] = node.id;
+		}
+		
+		for ( var language in this._stemmedIndexes ) {
+			this._addToStemmedIndex( this._stemmedIndexes[language], node, language.substring( 1 ) );
+		}
+	},
+	
+	/*
+	*	The labels and aliases are only stemmed for the languages that are matched
+	*/
+	_getStemmedIndex : function( language ) {
+		if ( language == undefined ) language = AUTOTAGS.DEFAULT_LANGUAGE;
+		
+		var stemmedIndex = this._stemmedIndexes['_' + language];
+		
+		if ( stemmedIndex == undefined ) {
+			stemmedIndex = this._stemmedIndexes['_' + language] = new Object();
+			
+			for ( var key in this.nodes ) {
+				this._addToStemmedIndex( stemmedIndex, this.nodes[key], language );
+			}
+		}
+		
+		return stemmedIndex;
+	},
+	
+	_addToStemmedIndex : function( stemmedIndex, node, language ) {
+		// Aliases first, so that the label wins if a label and an alias are the same when stemmed
+		for ( var i = 0, length = node.aliases.length; i < length; i++ ) {
+			stemmedIndex['_' + this._stem( node.aliases[i], language )] = node.id;
+		}
+		
+		stemmedIndex['_' + this._stem( node.label, language )] = node.id;
+	},
+	
+	_stem : function( value, language ) {
+		var words = AUTOTAGS.trim( value ).split( /\s+/ );
+		
+		for ( var i = 0, length = words.length; i < length; i++ ) {
+			words[i] = AUTOTAGS._stemToken( words[i], language, ( this.stemCache != null ) ? this.stemCache : undefined );
+		}
+		
+		return words.join( ' ' );
+	},
+	
+	toJSON : function() {
+		var nodes = new Array();
+		
+		for ( var key in this.nodes ) {
+			nodes.push( this.nodes[key] );
+		}
+		
+		return {
+			'version' : AUTOTAGS.Taxonomy.SERIALIZATION_VERSION,
+			'nodes' : nodes
+		};
+	}
+};
+
+/*
+*	Creates a taxonomy from the output of toJSON (either the object or its string representation)
+*/
+AUTOTAGS.Taxonomy.fromJSON = function( json ) {
+	if ( typeof json == 'string' ) {
+		json = JSON.parse( json );
+	}
+	
+	if ( json.version != AUTOTAGS.Taxonomy.SERIALIZATION_VERSION ) {
+		throw new Error( 'Unsupported taxonomy version: ' + json.version );
+	}
+	
+	var taxonomy = new AUTOTAGS.Taxonomy();
+	taxonomy.addNodes( json.nodes );
+	
+	return taxonomy;
+};
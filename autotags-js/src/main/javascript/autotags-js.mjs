@@ -0,0 +1,26 @@
+/*
+*
+*	ES module entry point for AutoTags (see autotags-js-node.js)
+*
+*		import { createTagger } from 'autotags-js';
+*
+*/
+import AUTOTAGS from './autotags-js-node.js';
+
+export default AUTOTAGS;
+
+export var createTagger = AUTOTAGS.createTagger;
+export var Term = AUTOTAGS.Term;
+export var TermConstants = AUTOTAGS.TermConstants;
+export var TagSet = AUTOTAGS.TagSet;
+export var TagStatistics = AUTOTAGS.TagStatistics;
+export var LRUCache = AUTOTAGS.LRUCache;
+export var PhraseMatcher = AUTOTAGS.PhraseMatcher;
+export var FrequencyList = AUTOTAGS.FrequencyList;
+export var Corpus = AUTOTAGS.Corpus;
+export var Taxonomy = AUTOTAGS.Taxonomy;
+export var registerLanguage = AUTOTAGS.registerLanguage;
+export var detectLanguage = AUTOTAGS.detectLanguage;
+export var htmlToFields = AUTOTAGS.htmlToFields;
+export var markdownToFields = AUTOTAGS.markdownToFields;
+export var stemWord = AUTOTAGS.stemWord;
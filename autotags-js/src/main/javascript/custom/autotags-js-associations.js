@@ -0,0 +1,8 @@
+/*
+*
+*	Word list [ Sample associated tags ]
+*
+*/
+
+// When a tag on the left is suggested, the tags on the right are suggested as well (with a lower score)
+AUTOTAGS.ASSOCIATIONS = { 'bayesian inference':[ 'statistics','probability' ], 'monte carlo':[ 'statistics','random sampling' ], 'lucene':[ 'search','java' ] };
@@ -0,0 +1,8 @@
+/*
+*
+*	Word list [ Sample term normalisations ]
+*
+*/
+
+// Variants on the left are replaced with the canonical term on the right before the text is analyzed
+AUTOTAGS.NORMALISATIONS = { 'e-mail':'email','youtube':'video sharing','ifilm':'video sharing' };
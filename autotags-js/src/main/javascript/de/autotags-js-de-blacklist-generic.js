@@ -0,0 +1,23 @@
+/*
+*
+*	Word list [ Generic Blacklist for German ]
+*
+*/
+
+// Words in the blacklist will be stripped from the text
+AUTOTAGS.registerLanguage( 'de', { 'BLACKLIST' : { 'aber':true,'alle':true,'allem':true,'allen':true,'aller':true,'alles':true,'als':true,'also':true,'am':true,'an':true,'ander':true,'andere':true,
+	'anderem':true,'anderen':true,'anderer':true,'anderes':true,'auch':true,'auf':true,'aus':true,'bei':true,'beim':true,'bereits':true,'bin':true,
+	'bis':true,'bist':true,'da':true,'damit':true,'dann':true,'das':true,'dass':true,'daß':true,'dasselbe':true,'dazu':true,'dein':true,'deine':true,
+	'dem':true,'den':true,'denn':true,'der':true,'des':true,'dessen':true,'dich':true,'die':true,'dies':true,'diese':true,'dieselbe':true,'diesem':true,
+	'diesen':true,'dieser':true,'dieses':true,'dir':true,'doch':true,'dort':true,'du':true,'durch':true,'ein':true,'eine':true,'einem':true,'einen':true,
+	'einer':true,'eines':true,'einige':true,'einigen':true,'er':true,'es':true,'etwas':true,'euch':true,'euer':true,'für':true,'gegen':true,'gewesen':true,
+	'hab':true,'habe':true,'haben':true,'hat':true,'hatte':true,'hatten':true,'heute':true,'hier':true,'hin':true,'hinter':true,'ich':true,'ihm':true,
+	'ihn':true,'ihnen':true,'ihr':true,'ihre':true,'ihrem':true,'ihren':true,'ihrer':true,'im':true,'immer':true,'in':true,'indem':true,'ins':true,
+	'ist':true,'jede':true,'jedem':true,'jeden':true,'jeder':true,'jedes':true,'jene':true,'jetzt':true,'kann':true,'kein':true,'keine':true,'können':true,
+	'könnte':true,'laut':true,'machen':true,'man':true,'manche':true,'mehr':true,'mein':true,'meine':true,'mich':true,'mir':true,'mit':true,'muss':true,
+	'musste':true,'nach':true,'nicht':true,'nichts':true,'noch':true,'nun':true,'nur':true,'ob':true,'oder':true,'ohne':true,'sagte':true,'schon':true,
+	'sehr':true,'sein':true,'seine':true,'seinem':true,'seinen':true,'seiner':true,'seit':true,'selbst':true,'sich':true,'sie':true,'sind':true,'so':true,
+	'solche':true,'soll':true,'sollte':true,'sondern':true,'sonst':true,'sowie':true,'über':true,'um':true,'und':true,'uns':true,'unser':true,'unter':true,
+	'viel':true,'vom':true,'von':true,'vor':true,'während':true,'war':true,'waren':true,'warst':true,'was':true,'weg':true,'weil':true,'weiter':true,
+	'welche':true,'wenn':true,'werde':true,'werden':true,'wie':true,'wieder':true,'will':true,'wir':true,'wird':true,'wirst':true,'wo':true,'wollen':true,
+	'wollte':true,'würde':true,'würden':true,'zu':true,'zum':true,'zur':true,'zwar':true,'zwei':true,'zwischen':true } });
\ No newline at end of file
@@ -0,0 +1,45 @@
+/*
+*
+*	Language pack [ German ]
+*
+*/
+
+// All nouns are capitalised in German, so capitalisation says little about a term being a name or a concept
+AUTOTAGS.registerLanguage( 'de', {
+	'PARAMETERS' : {
+		'CAPITALIZATION_BOOST' : 1,
+		'NGRAM_BASED_ON_CAPITALISATION_BOOST' : 2,
+		'CAPITALIZED_NGRAM_EXPRESSION' : AUTOTAGS.createExpression( '(([%UPPERCASE%][%LOWERCASE%]*)?[%UPPERCASE%][%LOWERCASE%]+ (von |van |zu )?[%UPPERCASE%][%LOWERCASE%]+([ \\-][%UPPERCASE%][%LOWERCASE%]+)?([ ][%UPPERCASE%][%LOWERCASE%]+)?)', 'g' )
+	},
+	
+	// Light stemmer for German (after Jacques Savoy), removing common inflectional suffixes only
+	'STEMMER' : function( word ) {
+		word = word.replace( /[äàáâ]/g, 'a' ).replace( /[öòóô]/g, 'o' ).replace( /[ïìíî]/g, 'i' ).replace( /[üùúû]/g, 'u' );
+		
+		var stEnding = /[bdfghklmnt]/;
+		var length = word.length;
+		
+		// Step 1
+		if ( length > 5 && /ern$/.test( word ) ) {
+			length -= 3;
+		} else if ( length > 4 && /e[mnrs]$/.test( word ) ) {
+			length -= 2;
+		} else if ( length > 3 && word.charAt( length - 1 ) == 'e' ) {
+			length -= 1;
+		} else if ( length > 3 && word.charAt( length - 1 ) == 's' && stEnding.test( word.charAt( length - 2 ) ) ) {
+			length -= 1;
+		}
+		word = word.substring( 0, length );
+		
+		// Step 2
+		if ( length > 5 && /est$/.test( word ) ) {
+			length -= 3;
+		} else if ( length > 4 && /e[rn]$/.test( word ) ) {
+			length -= 2;
+		} else if ( length > 4 && /st$/.test( word ) && stEnding.test( word.charAt( length - 3 ) ) ) {
+			length -= 2;
+		}
+		
+		return word.substring( 0, length );
+	}
+});
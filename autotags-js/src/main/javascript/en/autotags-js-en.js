@@ -0,0 +1,12 @@
+/*
+*
+*	Language pack [ English ]
+*
+*/
+
+// English uses the default tokenisation expressions, the stopwords in AUTOTAGS.BLACKLIST and the Porter stemmer (lib/PorterStemmer.js)
+AUTOTAGS.registerLanguage( 'en', {
+	'STEMMER' : function( word ) {
+		return stemWord( word );
+	}
+});
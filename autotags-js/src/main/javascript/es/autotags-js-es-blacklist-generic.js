@@ -0,0 +1,18 @@
+/*
+*
+*	Word list [ Generic Blacklist for Spanish ]
+*
+*/
+
+// Words in the blacklist will be stripped from the text
+AUTOTAGS.registerLanguage( 'es', { 'BLACKLIST' : { 'a':true,'ahora':true,'al':true,'algo':true,'algunos':true,'ante':true,'antes':true,'año':true,'años':true,'así':true,'aunque':true,'bien':true,
+	'cada':true,'como':true,'con':true,'contra':true,'cual':true,'cuando':true,'de':true,'del':true,'desde':true,'después':true,'dijo':true,'donde':true,
+	'dos':true,'durante':true,'e':true,'el':true,'él':true,'ella':true,'ellas':true,'ellos':true,'en':true,'entonces':true,'entre':true,'era':true,
+	'eran':true,'es':true,'esa':true,'esas':true,'ese':true,'eso':true,'esos':true,'esta':true,'está':true,'están':true,'estas':true,'este':true,
+	'esto':true,'estos':true,'fue':true,'fueron':true,'ha':true,'había':true,'hace':true,'han':true,'hasta':true,'hay':true,'la':true,'las':true,'le':true,
+	'les':true,'lo':true,'los':true,'más':true,'me':true,'mi':true,'mis':true,'misma':true,'mismo':true,'mucho':true,'muy':true,'nada':true,'ni':true,
+	'no':true,'nos':true,'nosotros':true,'o':true,'os':true,'otra':true,'otras':true,'otro':true,'otros':true,'para':true,'pero':true,'poco':true,
+	'por':true,'porque':true,'puede':true,'que':true,'qué':true,'quien':true,'quienes':true,'se':true,'sea':true,'según':true,'ser':true,'será':true,
+	'si':true,'sí':true,'sido':true,'sin':true,'sobre':true,'solo':true,'sólo':true,'son':true,'su':true,'sus':true,'también':true,'tanto':true,'te':true,
+	'tiene':true,'tienen':true,'todo':true,'todos':true,'tres':true,'tu':true,'tus':true,'un':true,'una':true,'uno':true,'unos':true,'vez':true,'y':true,
+	'ya':true,'yo':true } });
\ No newline at end of file
@@ -0,0 +1,37 @@
+/*
+*
+*	Language pack [ Spanish ]
+*
+*/
+
+AUTOTAGS.registerLanguage( 'es', {
+	'PARAMETERS' : {
+		// Compound names are often joined by particles, e.g. 'Banco de España' or 'Universidad de los Andes'
+		'CAPITALIZED_NGRAM_EXPRESSION' : AUTOTAGS.createExpression( '(([%UPPERCASE%][%LOWERCASE%]*)?[%UPPERCASE%][%LOWERCASE%]+ (de la |de los |de las |del |de )?[%UPPERCASE%][%LOWERCASE%]+([ \\-][%UPPERCASE%][%LOWERCASE%]+)?([ ][%UPPERCASE%][%LOWERCASE%]+)?)', 'g' )
+	},
+	
+	// Light stemmer for Spanish (after Jacques Savoy), removing accents, gender and plural endings
+	'STEMMER' : function( word ) {
+		if ( word.length < 5 ) {
+			return word;
+		}
+		
+		word = word.replace( /[àáâä]/g, 'a' ).replace( /[òóôö]/g, 'o' ).replace( /[èéêë]/g, 'e' ).replace( /[ùúûü]/g, 'u' ).replace( /[ìíîï]/g, 'i' );
+		
+		var length = word.length;
+		
+		switch ( word.charAt( length - 1 ) ) {
+			case 'o':
+			case 'a':
+			case 'e':
+				return word.substring( 0, length - 1 );
+			case 's':
+				if ( /eses$/.test( word ) ) return word.substring( 0, length - 2 );
+				// 'luces' -> 'luz'
+				if ( /ces$/.test( word ) ) return word.substring( 0, length - 3 ) + 'z';
+				if ( /[oae]s$/.test( word ) ) return word.substring( 0, length - 2 );
+		}
+		
+		return word;
+	}
+});
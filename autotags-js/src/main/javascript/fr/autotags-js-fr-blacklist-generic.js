@@ -0,0 +1,18 @@
+/*
+*
+*	Word list [ Generic Blacklist for French ]
+*
+*/
+
+// Words in the blacklist will be stripped from the text
+AUTOTAGS.registerLanguage( 'fr', { 'BLACKLIST' : { 'à':true,'ai':true,'ainsi':true,'alors':true,'après':true,'au':true,'aujourd':true,'aussi':true,'autre':true,'autres':true,'aux':true,'avait':true,
+	'avaient':true,'avant':true,'avec':true,'avoir':true,'bien':true,'c':true,'car':true,'ce':true,'ceci':true,'cela':true,'celle':true,'celles':true,
+	'celui':true,'ces':true,'cette':true,'ceux':true,'chez':true,'comme':true,'d':true,'dans':true,'de':true,'déjà':true,'depuis':true,'des':true,
+	'deux':true,'dit':true,'doit':true,'donc':true,'dont':true,'du':true,'elle':true,'elles':true,'en':true,'encore':true,'entre':true,'est':true,
+	'et':true,'été':true,'étaient':true,'était':true,'être':true,'eu':true,'fait':true,'faire':true,'hui':true,'il':true,'ils':true,'j':true,'je':true,
+	'l':true,'la':true,'là':true,'le':true,'les':true,'leur':true,'leurs':true,'lors':true,'lui':true,'m':true,'ma':true,'mais':true,'me':true,'même':true,
+	'mêmes':true,'mes':true,'moi':true,'moins':true,'mon':true,'n':true,'ne':true,'ni':true,'non':true,'nos':true,'notre':true,'nous':true,'on':true,
+	'ont':true,'ou':true,'où':true,'oui':true,'par':true,'pas':true,'peu':true,'peut':true,'plus':true,'pour':true,'qu':true,'que':true,'qui':true,
+	'quoi':true,'s':true,'sa':true,'sans':true,'se':true,'selon':true,'sera':true,'seront':true,'ses':true,'si':true,'son':true,'sont':true,'sous':true,
+	'sur':true,'t':true,'ta':true,'te':true,'tes':true,'toi':true,'ton':true,'tous':true,'tout':true,'toute':true,'toutes':true,'très':true,'trois':true,
+	'tu':true,'un':true,'une':true,'vers':true,'vos':true,'votre':true,'vous':true,'y':true } });
\ No newline at end of file
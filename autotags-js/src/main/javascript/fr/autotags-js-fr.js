@@ -0,0 +1,37 @@
+/*
+*
+*	Language pack [ French ]
+*
+*/
+
+AUTOTAGS.registerLanguage( 'fr', {
+	'PARAMETERS' : {
+		// Compound names are often joined by particles, e.g. 'Charles de Gaulle' or 'Banque de France'
+		'CAPITALIZED_NGRAM_EXPRESSION' : AUTOTAGS.createExpression( '(([%UPPERCASE%][%LOWERCASE%]*)?[%UPPERCASE%][%LOWERCASE%]+ (de la |de |du |des )?[%UPPERCASE%][%LOWERCASE%]+([ \\-][%UPPERCASE%][%LOWERCASE%]+)?([ ][%UPPERCASE%][%LOWERCASE%]+)?)', 'g' )
+	},
+	
+	// Minimal stemmer for French (after Jacques Savoy), mainly removing plural and feminine endings
+	'STEMMER' : function( word ) {
+		var length = word.length;
+		
+		if ( length < 6 ) {
+			return word;
+		}
+		
+		if ( word.charAt( length - 1 ) == 'x' ) {
+			// 'journaux' -> 'journal'
+			if ( /au$/.test( word.substring( 0, length - 1 ) ) ) {
+				return word.substring( 0, length - 2 ) + 'l';
+			}
+			return word.substring( 0, length - 1 );
+		}
+		
+		if ( word.charAt( length - 1 ) == 's' ) length--;
+		if ( word.charAt( length - 1 ) == 'r' ) length--;
+		if ( word.charAt( length - 1 ) == 'e' ) length--;
+		if ( word.charAt( length - 1 ) == 'é' ) length--;
+		if ( word.charAt( length - 1 ) == word.charAt( length - 2 ) && /[a-zß-öø-ÿ]/.test( word.charAt( length - 1 ) ) ) length--;
+		
+		return word.substring( 0, length );
+	}
+});
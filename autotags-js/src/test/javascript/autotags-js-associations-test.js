@@ -0,0 +1,65 @@
+/**
+*	A U T O T A G S
+*	Tests of associated tags.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var ASSOCIATIONS = { 'lucene' : [ 'search', 'java', 'information retrieval' ], 'documents' : [ 'information retrieval' ] };
+
+function getTag( tagSet, value ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'tags associated with the tags found are suggested with a lower score', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'ASSOCIATIONS' : ASSOCIATIONS });
+	var tagSet = tagger.analyzeText( 'Lucene is a search library. Lucene is written in Java. Lucene indexes text.', 10 );
+	var java = getTag( tagSet, 'java' );
+	
+	assert.strictEqual( java.getTermType(), AUTOTAGS.TermConstants.TYPE_ASSOCIATED_TERM );
+	assert.deepStrictEqual( java.triggeredBy, [ 'lucene' ] );
+	assert.strictEqual( java.getScore(), getTag( tagSet, 'lucene' ).getScore() * tagger.ASSOCIATED_TERM_BOOST );
+	assert.ok( getTag( tagSet, 'information retrieval' ) != undefined );
+});
+
+test( 'a tag associated with several tags gets the score of the strongest association', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'ASSOCIATIONS' : ASSOCIATIONS });
+	var tagSet = tagger.analyzeText( 'Lucene indexes documents. Lucene stores documents. Lucene searches.', 10 );
+	var informationRetrieval = getTag( tagSet, 'information retrieval' );
+	
+	assert.deepStrictEqual( informationRetrieval.triggeredBy.sort(), [ 'documents', 'lucene' ] );
+	assert.strictEqual( informationRetrieval.getScore(), Math.max( getTag( tagSet, 'lucene' ).getScore(), getTag( tagSet, 'documents' ).getScore() ) * tagger.ASSOCIATED_TERM_BOOST );
+	assert.strictEqual( tagSet.getTags().filter( function( tag ) { return tag.getValue() == 'information retrieval'; } ).length, 1 );
+});
+
+test( 'tags that were found are not suggested again as associated tags', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'ASSOCIATIONS' : ASSOCIATIONS });
+	var tagSet = tagger.analyzeText( 'Lucene is a search library. Lucene is fast and search is fast.', 10 );
+	
+	assert.strictEqual( getTag( tagSet, 'search' ).getTermType(), AUTOTAGS.TermConstants.TYPE_SINGLE_TERM );
+	assert.strictEqual( tagSet.getTags().filter( function( tag ) { return tag.getValue() == 'search'; } ).length, 1 );
+});
+
+test( 'associated tags use the COMPOUND_TAG_SEPARATOR', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'ASSOCIATIONS' : ASSOCIATIONS, 'COMPOUND_TAG_SEPARATOR' : '_' });
+	var tagSet = tagger.analyzeText( 'Lucene is a search library. Lucene is written in Java. Lucene indexes text.', 10 );
+	
+	assert.ok( getTag( tagSet, 'information_retrieval' ) != undefined );
+});
@@ -0,0 +1,88 @@
+/**
+*	A U T O T A G S
+*	Tests of the LRU cache.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+test( 'evicts the least recently used entries', function() {
+	var cache = new AUTOTAGS.LRUCache({ 'maxSize' : 2 });
+	cache.set( 'a', 1 );
+	cache.set( 'b', 2 );
+	cache.get( 'a' );
+	cache.set( 'c', 3 );
+	
+	assert.strictEqual( cache.get( 'a' ), 1 );
+	assert.strictEqual( cache.get( 'b' ), undefined );
+	assert.strictEqual( cache.get( 'c' ), 3 );
+	assert.strictEqual( cache.getSize(), 2 );
+});
+
+test( 'updating an entry does not grow the cache', function() {
+	var cache = new AUTOTAGS.LRUCache({ 'maxSize' : 2 });
+	cache.set( 'a', 1 );
+	cache.set( 'a', 2 );
+	
+	assert.strictEqual( cache.get( 'a' ), 2 );
+	assert.strictEqual( cache.getSize(), 1 );
+});
+
+test( 'keys are not confused with the properties of objects', function() {
+	var cache = new AUTOTAGS.LRUCache();
+	
+	assert.strictEqual( cache.get( 'constructor' ), undefined );
+	assert.strictEqual( cache.get( 'hasOwnProperty' ), undefined );
+});
+
+test( 'counts hits, misses and evictions until they are reset', function() {
+	var cache = new AUTOTAGS.LRUCache({ 'maxSize' : 1 });
+	cache.set( 'a', 1 );
+	cache.get( 'a' );
+	cache.get( 'b' );
+	cache.set( 'b', 2 );
+	
+	assert.deepStrictEqual( cache.getStatistics(), { 'hits' : 1, 'misses' : 1, 'evictions' : 1, 'size' : 1, 'maxSize' : 1 } );
+	
+	cache.resetStatistics();
+	cache.clear();
+	assert.deepStrictEqual( cache.getStatistics(), { 'hits' : 0, 'misses' : 0, 'evictions' : 0, 'size' : 0, 'maxSize' : 1 } );
+});
+
+test( 'the tagger stems with the cache given, or the cache shared by all taggers', function() {
+	var stemCache = new AUTOTAGS.LRUCache({ 'maxSize' : 100 });
+	var tagger = new AUTOTAGS.createTagger({ 'STEM_CACHE' : stemCache });
+	tagger.analyzeText( 'Search engines search. The search engine is fast.', 10 );
+	
+	assert.strictEqual( tagger.getStemCache(), stemCache );
+	assert.ok( stemCache.getSize() > 0 );
+	assert.ok( stemCache.getStatistics().hits > 0 );
+	assert.strictEqual( new AUTOTAGS.createTagger().getStemCache(), AUTOTAGS.STEM_CACHE );
+});
+
+test( 'the whitelist cache is cleared when the whitelist changes', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'WHITELIST' : [ 'lucene' ] });
+	
+	assert.strictEqual( tagger.isInWhiteList( 'Lucene' ), true );
+	assert.strictEqual( tagger.getWhiteListCache().getSize(), 1 );
+	
+	tagger.removeFromWhiteList( 'lucene' );
+	assert.strictEqual( tagger.isInWhiteList( 'Lucene' ), false );
+	assert.strictEqual( tagger.getWhiteListCache().getSize(), 1 );
+});
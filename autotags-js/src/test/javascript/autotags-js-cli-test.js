@@ -0,0 +1,118 @@
+/**
+*	A U T O T A G S
+*	Tests of the command line tagger.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var childProcess = require( 'child_process' );
+var fs = require( 'fs' );
+var os = require( 'os' );
+var path = require( 'path' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var AUTOTAGS_BIN = path.join( __dirname, '../../../bin/autotags.js' );
+var STDIN_TEXT = 'Solr is great. Solr scales.';
+
+var directory = fs.mkdtempSync( path.join( os.tmpdir(), 'autotags-' ) );
+fs.writeFileSync( path.join( directory, 'a.txt' ), 'Apache Lucene is a search library. Apache Lucene is fast.' );
+fs.writeFileSync( path.join( directory, 'b.md' ), 'The company said the search engine is fast. The engine said hello.' );
+fs.writeFileSync( path.join( directory, 'c.json' ), '{}' );
+fs.mkdirSync( path.join( directory, 'sub' ) );
+fs.writeFileSync( path.join( directory, 'sub', 'd.txt' ), 'Java is a language. Java is popular.' );
+fs.writeFileSync( path.join( directory, 'sub', 'page.html' ), '<html><head><title>Lucene</title></head><body><p>Lucene is a <em>search library</em>. <code>index</code> <code>index</code> <code>index</code></p></body></html>' );
+fs.writeFileSync( path.join( directory, 'whitelist.lst' ), '# Terms to boost\nSearch\n' );
+fs.writeFileSync( path.join( directory, 'taxonomy.json' ), JSON.stringify( [ { 'id' : 'software', 'label' : 'Software', 'children' : [ { 'id' : 'lucene', 'label' : 'Apache Lucene' } ] } ] ) );
+
+test.after( function() {
+	fs.rmSync( directory, { 'recursive' : true } );
+});
+
+function run( args, input ) {
+	return childProcess.spawnSync( process.execPath, [ AUTOTAGS_BIN ].concat( args ), { 'cwd' : directory, 'input' : input, 'encoding' : 'utf8' } );
+}
+
+test( 'stdin is tagged if no files are given', function() {
+	var result = run( [], STDIN_TEXT );
+	
+	assert.strictEqual( result.status, 0 );
+	assert.strictEqual( result.stdout, 'solr\n' );
+});
+
+test( 'stdin is tagged wherever - is given among the files', function() {
+	var result = run( [ 'a.txt', '-', 'b.md' ], STDIN_TEXT );
+	
+	assert.strictEqual( result.status, 0 );
+	assert.strictEqual( result.stdout, 'a.txt: apache lucene, apache, lucene\n-: solr\nb.md: engine\n' );
+	
+	assert.strictEqual( run( [ '-', 'a.txt' ], STDIN_TEXT ).stdout, '-: solr\na.txt: apache lucene, apache, lucene\n' );
+	assert.strictEqual( run( [ '-' ], STDIN_TEXT ).stdout, 'solr\n' );
+});
+
+test( 'the files with the extensions given are read from directories, recursively if specified', function() {
+	assert.strictEqual( run( [ '.' ] ).stdout, 'a.txt: apache lucene, apache, lucene\nb.md: engine\n' );
+	assert.strictEqual( run( [ '-r', '-e', 'txt', '.' ] ).stdout, 'a.txt: apache lucene, apache, lucene\nsub/d.txt: java\n' );
+});
+
+test( 'the input format is chosen from the file extension unless one is given', function() {
+	assert.strictEqual( run( [ 'sub/page.html' ] ).stdout, 'lucene, index index, search library, index, search, library\n' );
+	assert.strictEqual( run( [ '--ignore-code', 'sub/page.html' ] ).stdout, 'lucene, search library, search, library\n' );
+	assert.ok( run( [ '-i', 'text', 'sub/page.html' ] ).stdout.split( ', ' ).indexOf( 'body' ) != -1 );
+});
+
+test( 'the tags are written as json or csv', function() {
+	var json = JSON.parse( run( [ '--format=json', 'a.txt' ] ).stdout );
+	
+	assert.strictEqual( json.length, 1 );
+	assert.strictEqual( json[0].file, 'a.txt' );
+	assert.strictEqual( json[0].version, AUTOTAGS.TagSet.SERIALIZATION_VERSION );
+	assert.strictEqual( json[0].language, 'en' );
+	assert.deepStrictEqual( AUTOTAGS.TagSet.fromJSON( json[0] ).getTags()[0].toJSON(), json[0].tags[0] );
+	assert.strictEqual( json[0].tags[0].value, 'apache lucene' );
+	assert.strictEqual( json[0].tags[0].score, 7 );
+	
+	var lines = run( [ '-f', 'csv', '-n', '1', 'a.txt', 'b.md' ] ).stdout.split( '\n' );
+	assert.deepStrictEqual( lines, [ 'file,tag,type,freq,score', 'a.txt,apache lucene,TYPE_CAPITALISED_COMPOUND_TERM,2,7', 'b.md,engine,TYPE_SINGLE_TERM,2,1.5', '' ] );
+});
+
+test( 'the word lists are read from files', function() {
+	var result = run( [ '-w', 'whitelist.lst', '-s', ' | ', 'b.md' ] );
+	
+	assert.strictEqual( result.stdout, 'engine | search\n' );
+});
+
+test( 'only the nodes of the taxonomy given are suggested, and their ancestors with --roll-up', function() {
+	assert.strictEqual( run( [ '-t', 'taxonomy.json', 'a.txt' ] ).stdout, 'Apache Lucene\n' );
+	assert.strictEqual( run( [ '--taxonomy=taxonomy.json', '--roll-up', 'a.txt' ] ).stdout, 'Apache Lucene, Software\n' );
+});
+
+test( 'the other files are tagged if a file cannot be read, but the tagger fails', function() {
+	var result = run( [ 'missing.txt', 'a.txt' ] );
+	
+	assert.strictEqual( result.status, 1 );
+	assert.match( result.stderr, /^autotags: ENOENT/ );
+	assert.strictEqual( result.stdout, 'apache lucene, apache, lucene\n' );
+});
+
+test( 'unknown options are reported with the usage', function() {
+	var result = run( [ '--bogus' ] );
+	
+	assert.strictEqual( result.status, 2 );
+	assert.match( result.stderr, /^autotags: Unknown option --bogus\n\nUsage: autotags/ );
+	assert.strictEqual( run( [ '-f', 'xml' ] ).status, 2 );
+});
@@ -0,0 +1,77 @@
+/**
+*	A U T O T A G S
+*	Tests of the collocation scoring of bigrams.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Machine learning is popular. Machine learning models learn. Machine learning needs data. Data science uses machine learning. Search engines index pages. Search engines rank pages.';
+
+function getTag( tagSet, value ) {
+	return tagSet.tags.filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+function getBoostReasons( tag ) {
+	return tag.explanation.boosts.map( function( boost ) { return boost.reason; } );
+}
+
+test( 'bigrams are not scored without a COLLOCATION_MEASURE', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	
+	assert.strictEqual( getTag( tagger.analyzeText( TEXT, 20 ), 'machine learning' ).collocationScore, null );
+});
+
+test( 'the default thresholds of all measures are reached by a phrase repeated within a single text', function() {
+	Object.keys( AUTOTAGS.COLLOCATION_MEASURES ).forEach( function( measure ) {
+		var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'COLLOCATION_MEASURE' : measure, 'EXPLAIN' : true });
+		var tag = getTag( tagger.analyzeText( TEXT, 20 ), 'machine learning' );
+		
+		assert.ok( tag.collocationScore >= AUTOTAGS.COLLOCATION_THRESHOLDS[measure], measure );
+		assert.ok( getBoostReasons( tag ).indexOf( 'COLLOCATION_BOOST' ) != -1, measure );
+	});
+});
+
+test( 'the measures are given the number of times the bigram and its tokens were found', function() {
+	var counts = null;
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'COLLOCATION_MEASURE' : function( bigramFreq, freq1, freq2, numberOfTokens ) {
+		if ( counts == null ) counts = [ bigramFreq, freq1, freq2, numberOfTokens ];
+		return 0;
+	}});
+	tagger.analyzeText( 'Search engines index pages. Search engines rank pages.', 10 );
+	
+	assert.deepStrictEqual( counts, [ 2, 2, 2, 8 ] );
+});
+
+test( 'the scores do not depend on the weight of the field the bigrams were found in', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'COLLOCATION_MEASURE' : 'pmi' });
+	var textScore = getTag( tagger.analyzeText( TEXT, 20 ), 'machine learning' ).collocationScore;
+	var titleScore = getTag( tagger.analyzeFields( { 'title' : TEXT }, 20 ), 'machine learning' ).collocationScore;
+	
+	assert.strictEqual( titleScore, textScore );
+});
+
+test( 'only bigrams found at least COLLOCATION_MIN_FREQUENCY times are downweighted', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'COLLOCATION_MEASURE' : function() { return 0; }, 'COLLOCATION_THRESHOLD' : 1, 'EXPLAIN' : true });
+	var tagSet = tagger.analyzeText( TEXT, 20 );
+	
+	assert.ok( getBoostReasons( getTag( tagSet, 'machine learning' ) ).indexOf( 'COLLOCATION_DOWNWEIGHT' ) != -1 );
+	assert.strictEqual( getTag( tagSet, 'search engines' ).collocationScore, 0 );
+	assert.ok( getBoostReasons( getTag( tagSet, 'search engines' ) ).indexOf( 'COLLOCATION_DOWNWEIGHT' ) == -1 );
+});
@@ -0,0 +1,80 @@
+/**
+*	A U T O T A G S
+*	Tests of the corpus and of TF-IDF scoring.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var ARCHIVE = [
+	'The company said that search is hard.',
+	'The company said profits rose.',
+	'The company said nothing about search engines.'
+];
+var TEXT = 'The company said the search company makes search engines. The company said so.';
+
+function getTag( tagSet, value ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'counts the documents each term is found in once', function() {
+	var corpus = new AUTOTAGS.Corpus();
+	corpus.addDocuments( ARCHIVE.concat( [ 'Search, search and search again.' ] ) );
+	
+	assert.strictEqual( corpus.numberOfDocuments, 4 );
+	assert.strictEqual( corpus.getDocumentFrequency( '_compani' ), 3 );
+	assert.strictEqual( corpus.getDocumentFrequency( '_search' ), 3 );
+	assert.strictEqual( corpus.getDocumentFrequency( '_search engines' ), 1 );
+	assert.strictEqual( corpus.getDocumentFrequency( '_lucene' ), 0 );
+});
+
+test( 'terms found in fewer documents have a higher idf', function() {
+	var corpus = new AUTOTAGS.Corpus();
+	corpus.addDocuments( ARCHIVE );
+	
+	assert.ok( corpus.getIdf( '_lucene' ) > corpus.getIdf( '_search' ) );
+	assert.ok( corpus.getIdf( '_search' ) > corpus.getIdf( '_compani' ) );
+	assert.strictEqual( corpus.getIdf( '_compani' ), 1 );
+});
+
+test( 'the tagger scores terms by TF-IDF if it has a corpus', function() {
+	var corpus = new AUTOTAGS.Corpus();
+	corpus.addDocuments( ARCHIVE );
+	
+	var tagSet = new AUTOTAGS.createTagger().analyzeText( TEXT, 10 );
+	var tagSetWithCorpus = new AUTOTAGS.createTagger({ 'CORPUS' : corpus }).analyzeText( TEXT, 10 );
+	
+	assert.strictEqual( getTag( tagSet, 'search' ).idf, 1 );
+	assert.strictEqual( getTag( tagSetWithCorpus, 'search' ).idf, corpus.getIdf( '_search' ) );
+	assert.strictEqual( getTag( tagSetWithCorpus, 'search' ).getScore(), getTag( tagSet, 'search' ).getScore() * corpus.getIdf( '_search' ) );
+	assert.strictEqual( getTag( tagSetWithCorpus, 'company' ).getScore(), getTag( tagSet, 'company' ).getScore() );
+});
+
+test( 'the corpus can be stored as JSON and loaded again', function() {
+	var corpus = new AUTOTAGS.Corpus();
+	corpus.addDocuments( ARCHIVE );
+	
+	var loadedCorpus = AUTOTAGS.Corpus.fromJSON( JSON.stringify( corpus ) );
+	
+	assert.strictEqual( loadedCorpus.numberOfDocuments, corpus.numberOfDocuments );
+	assert.deepStrictEqual( loadedCorpus.documentFrequencies, corpus.documentFrequencies );
+	assert.throws( function() {
+		AUTOTAGS.Corpus.fromJSON( { 'version' : 0, 'numberOfDocuments' : 0, 'documentFrequencies' : {} } );
+	}, /Unsupported corpus version/ );
+});
@@ -0,0 +1,77 @@
+/**
+*	A U T O T A G S
+*	Tests of detecting the language of texts.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var GERMAN_TEXT = 'Die Häuser der Stadt sind alt. Das Haus ist groß und die Häuser sind schön.';
+
+function getTermIds( tagSet ) {
+	return tagSet.getTags().map( function( tag ) { return tag.getTermId(); } );
+}
+
+test( 'the language with the most stopwords in the text is detected', function() {
+	assert.strictEqual( AUTOTAGS.detectLanguage( 'The dog and the cat of the house.' ), 'en' );
+	assert.strictEqual( AUTOTAGS.detectLanguage( 'Die Häuser der Stadt sind alt und schön.' ), 'de' );
+	assert.strictEqual( AUTOTAGS.detectLanguage( 'Les journaux de Paris et le journal de Lyon.' ), 'fr' );
+	assert.strictEqual( AUTOTAGS.detectLanguage( 'El perro y el gato de la casa.' ), 'es' );
+	
+	// The default language is returned if no stopwords are found
+	assert.strictEqual( AUTOTAGS.detectLanguage( 'Xyz qwe.' ), AUTOTAGS.DEFAULT_LANGUAGE );
+});
+
+test( 'each text is analyzed in the language detected if no language is set', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	var tagSet = tagger.analyzeText( GERMAN_TEXT, 10 );
+	
+	assert.strictEqual( tagSet.language, 'de' );
+	assert.deepStrictEqual( getTermIds( tagSet ), [ '_haus', '_häuser' ] );
+	
+	assert.strictEqual( tagger.analyzeText( 'The dog and the cat of the house.', 10 ).language, 'en' );
+});
+
+test( 'the language set is used without detecting the language', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	var tagSet = tagger.analyzeText( GERMAN_TEXT, 10 );
+	
+	assert.strictEqual( tagSet.language, 'en' );
+	assert.ok( getTermIds( tagSet ).indexOf( '_die' ) >= 0 );
+});
+
+test( 'changes made to the tagger apply to its language taggers, except to the parameters of the language pack', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	var languageTagger = tagger._getLanguageTagger( 'de' );
+	
+	tagger.BIGRAM_BOOST = 5;
+	tagger.CAPITALIZATION_BOOST = 3;
+	
+	assert.strictEqual( tagger._getLanguageTagger( 'de' ), languageTagger );
+	assert.strictEqual( languageTagger.BIGRAM_BOOST, 5 );
+	assert.strictEqual( languageTagger.CAPITALIZATION_BOOST, 1 );
+});
+
+test( 'the documents of a corpus are analyzed in the language detected', function() {
+	var corpus = new AUTOTAGS.Corpus();
+	corpus.addDocuments( [ GERMAN_TEXT, 'Das Haus ist alt und die Stadt ist schön.' ] );
+	
+	assert.strictEqual( corpus.getDocumentFrequency( '_haus' ), 2 );
+	assert.strictEqual( corpus.getDocumentFrequency( '_die' ), 0 );
+});
@@ -0,0 +1,102 @@
+/**
+*	A U T O T A G S
+*	Tests of the recognition of entities like URLs and hashtags.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Read https://lucene.apache.org or mail dev@lucene.apache.org. Thanks @mike for #search tips. Node.js and C++ and ASP.NET. ' +
+	'Version v2.3 and 9.4.1-beta cost 1,200 or 3.5%. Node.js rocks.';
+
+function getTag( tagSet, value ) {
+	return tagSet.tags.filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'the entities are recognized as terms of their own type', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	var expected = {
+		'https://lucene.apache.org' : 'TYPE_URL',
+		'dev@lucene.apache.org' : 'TYPE_EMAIL',
+		'@mike' : 'TYPE_MENTION',
+		'#search' : 'TYPE_HASHTAG',
+		'node.js' : 'TYPE_TECH_NAME',
+		'c++' : 'TYPE_TECH_NAME',
+		'asp.net' : 'TYPE_TECH_NAME',
+		'v2.3' : 'TYPE_VERSION',
+		'9.4.1-beta' : 'TYPE_VERSION'
+	};
+	
+	for ( var value in expected ) {
+		assert.strictEqual( getTag( tagSet, value ).getTermType(), expected[value], value );
+	}
+	assert.strictEqual( getTag( tagSet, 'node.js' ).freq, 2 );
+});
+
+test( 'nothing else is made from the entities, and numbers are never suggested', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	var values = tagger.analyzeText( TEXT, 30 ).tags.map( function( tag ) { return tag.getValue(); } );
+	
+	[ 'lucene', 'apache', 'node', 'net', '1,200', '3.5%' ].forEach( function( value ) {
+		assert.strictEqual( values.indexOf( value ), -1, value );
+	});
+});
+
+test( 'the entities are not recognized if RECOGNIZE_ENTITIES is not set', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'RECOGNIZE_ENTITIES' : false });
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	
+	assert.strictEqual( getTag( tagSet, 'node.js' ), undefined );
+	assert.strictEqual( getTag( tagSet, 'node' ).getTermType(), AUTOTAGS.TermConstants.TYPE_SINGLE_TERM );
+});
+
+test( 'recognizers can be disabled and added with ENTITY_RECOGNIZERS', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'ENTITY_RECOGNIZERS' : {
+		'hashtag' : false,
+		'ticket' : { 'expression' : /(^|[^A-Za-z])([A-Z]+-[0-9]+)/g, 'termType' : 'TYPE_TICKET', 'boost' : 2, 'enabled' : true }
+	}});
+	var tagSet = tagger.analyzeText( 'See JIRA-42 and #search. JIRA-42 again.', 30 );
+	
+	assert.strictEqual( getTag( tagSet, 'jira-42' ).getTermType(), 'TYPE_TICKET' );
+	assert.strictEqual( getTag( tagSet, 'jira-42' ).freq, 2 );
+	assert.strictEqual( getTag( tagSet, '#search' ), undefined );
+});
+
+test( 'the entities take the position of the token after them', function() {
+	var text = 'The search library is used by Apache Solr, see https://lucene.apache.org for #search. Search libraries index documents.';
+	var tagSet = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' }).analyzeText( text, 30 );
+	var positionsOfSearch = getTag( tagSet, 'search' ).positions;
+	
+	assert.strictEqual( getTag( tagSet, '#search' ).positions[0], positionsOfSearch[1] );
+	assert.ok( getTag( tagSet, 'https://lucene.apache.org' ).positions[0] > getTag( tagSet, 'apache solr' ).positions[0] );
+	assert.ok( getTag( tagSet, 'https://lucene.apache.org' ).positions[0] < getTag( tagSet, '#search' ).positions[0] );
+});
+
+test( 'the entities found in normalised texts take the same positions', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'NORMALISATIONS' : { 'electronic-mail' : 'email' } });
+	var text = 'Send an email about #search today. Email works.';
+	var normalisedText = 'Send an electronic-mail about #search today. Email works.';
+	
+	var hashtag = getTag( tagger.analyzeText( text, 10 ), '#search' );
+	var normalisedHashtag = getTag( tagger.analyzeText( normalisedText, 10 ), '#search' );
+	
+	assert.deepStrictEqual( normalisedHashtag.positions, hashtag.positions );
+	assert.strictEqual( normalisedText.substring( normalisedHashtag.offsets[0].start, normalisedHashtag.offsets[0].end ), '#search' );
+});
@@ -0,0 +1,71 @@
+/**
+*	A U T O T A G S
+*	Tests of explaining the scores of tags.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Apache Lucene is a search library. Apache Lucene is fast. Lucene rocks. The search library is used. Search Library.';
+
+function getTag( tagSet, value ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+function getReasons( explanation ) {
+	return explanation.boosts.map( function( boost ) { return boost.reason; } );
+}
+
+test( 'nothing is recorded unless the tagger explains', function() {
+	var tagSet = new AUTOTAGS.createTagger().analyzeText( TEXT, 8 );
+	
+	assert.ok( tagSet.getTags().every( function( tag ) { return tag.getExplanation() == null; } ) );
+});
+
+test( 'the boosts applied to a term are listed in order, their product being its boost', function() {
+	var tagSet = new AUTOTAGS.createTagger({ 'EXPLAIN' : true, 'WHITELIST' : [ 'search' ] }).analyzeText( TEXT, 8 );
+	
+	assert.deepStrictEqual( getReasons( getTag( tagSet, 'lucene' ).getExplanation() ), [ 'SINGLE_TERM_BOOST', 'CAPITALIZATION_BOOST', 'TERM_FROM_COMPOUND_DOWNWEIGHT' ] );
+	assert.deepStrictEqual( getReasons( getTag( tagSet, 'search' ).getExplanation() ), [ 'SINGLE_TERM_BOOST', 'WHITE_LIST_BOOST', 'TERM_FROM_COMPOUND_DOWNWEIGHT' ] );
+	
+	tagSet.getTags().forEach( function( tag ) {
+		var boost = tag.getExplanation().boosts.reduce( function( product, boost ) { return product * boost.factor; }, 1 );
+		
+		assert.strictEqual( boost, tag.boost );
+		assert.strictEqual( tag.freq * boost * tag.positionBoost * tag.idf, tag.getScore() );
+	});
+});
+
+test( 'the candidates dropped in favour of a term are listed', function() {
+	var tagSet = new AUTOTAGS.createTagger({ 'EXPLAIN' : true }).analyzeText( TEXT, 8 );
+	
+	assert.deepStrictEqual( getTag( tagSet, 'apache lucene' ).getExplanation().dropped, [
+		{ 'value' : 'Apache Lucene', 'termType' : AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM, 'reason' : 'capitalised at least as often as not' }
+	]);
+	assert.deepStrictEqual( getTag( tagSet, 'search library' ).getExplanation().dropped, [
+		{ 'value' : 'Search Library', 'termType' : AUTOTAGS.TermConstants.TYPE_CAPITALISED_COMPOUND_TERM, 'reason' : 'capitalised less often than not' }
+	]);
+});
+
+test( 'the explanations are serialized with the tags', function() {
+	var tagSet = new AUTOTAGS.createTagger({ 'EXPLAIN' : true }).analyzeText( TEXT, 8 );
+	var restoredTagSet = AUTOTAGS.TagSet.fromJSON( JSON.stringify( tagSet ) );
+	
+	assert.deepStrictEqual( getTag( restoredTagSet, 'lucene' ).getExplanation(), getTag( tagSet, 'lucene' ).getExplanation() );
+});
@@ -0,0 +1,69 @@
+/**
+*	A U T O T A G S
+*	Tests of field-weighted analysis.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var BODY = 'Lucene is a search library. The search library is fast.';
+
+function getTag( tagSet, value ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'every occurrence counts as much as the weight of its field', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	var tagSet = tagger.analyzeFields( { 'title' : { 'text' : 'Apache Lucene', 'weight' : 2 }, 'body' : BODY }, 10 );
+	
+	assert.strictEqual( getTag( tagSet, 'lucene' ).freq, 3 );
+	assert.strictEqual( getTag( tagSet, 'apache lucene' ).freq, 2 );
+	assert.strictEqual( getTag( tagSet, 'search library' ).freq, 2 );
+});
+
+test( 'fields given as strings are weighted by FIELD_WEIGHTS', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	
+	assert.strictEqual( getTag( tagger.analyzeFields( { 'title' : 'Apache Lucene', 'body' : BODY }, 10 ), 'lucene' ).freq, 4 );
+	
+	tagger.FIELD_WEIGHTS = { 'title' : 1 };
+	assert.strictEqual( getTag( tagger.analyzeFields( { 'title' : 'Apache Lucene', 'body' : BODY }, 10 ), 'lucene' ).freq, 2 );
+});
+
+test( 'no compound terms are made across fields', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'TERM_FREQUENCY_CUTOFF' : 0 });
+	var values = tagger.analyzeFields( { 'title' : 'Lucene search', 'body' : 'library tools' }, 10 ).getTags().map( function( tag ) { return tag.getValue(); } );
+	
+	assert.ok( values.indexOf( 'lucene search' ) >= 0 );
+	assert.ok( values.indexOf( 'library tools' ) >= 0 );
+	assert.strictEqual( values.indexOf( 'search library' ), -1 );
+});
+
+test( 'fields without text are ignored', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	var tagSet = tagger.analyzeFields( { 'summary' : '', 'abstract' : { 'weight' : 2 }, 'notes' : null, 'body' : BODY }, 10 );
+	
+	assert.strictEqual( tagSet.toString(), tagger.analyzeFields( { 'body' : BODY }, 10 ).toString() );
+});
+
+test( 'analyzing a text is analyzing it as a single field', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	
+	assert.strictEqual( tagger.analyzeText( BODY, 10 ).toString(), tagger.analyzeFields( { 'body' : BODY }, 10 ).toString() );
+});
@@ -0,0 +1,69 @@
+/**
+*	A U T O T A G S
+*	Tests of choosing the best inflection of terms.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Libraries index documents. The library is large. Libraries are useful, and libraries grow.';
+
+function getValues( tagSet ) {
+	return tagSet.getTags().map( function( tag ) { return tag.getValue(); } );
+}
+
+test( 'the variants of a term are counted, the most frequent first', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	var tag = tagger.analyzeText( TEXT, 10 ).getTags()[0];
+	
+	assert.strictEqual( tag.getTermId(), '_librari' );
+	assert.deepStrictEqual( tag.getVariants(), [ { 'value' : 'Libraries', 'freq' : 2 }, { 'value' : 'library', 'freq' : 1 }, { 'value' : 'libraries', 'freq' : 1 } ] );
+});
+
+test( 'the most frequent variant is used by default', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'libraries' ] );
+});
+
+test( 'the shortest variant is used with the shortest policy', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'INFLECTION_POLICY' : 'shortest' });
+	
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'library' ] );
+});
+
+test( 'a variant in the whitelist is used with the dictionary policy', function() {
+	var whitelist = AUTOTAGS.WHITELIST;
+	AUTOTAGS.WHITELIST = [ 'library' ];
+	
+	try {
+		var tagger = new AUTOTAGS.createTagger({ 'INFLECTION_POLICY' : 'dictionary' });
+		assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'library' ] );
+	} finally {
+		AUTOTAGS.WHITELIST = whitelist;
+	}
+});
+
+test( 'the policy can be a function of the variants', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'INFLECTION_POLICY' : function( variants ) {
+		return variants[variants.length - 1].value;
+	}});
+	
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'libraries' ] );
+});
@@ -0,0 +1,72 @@
+/**
+*	A U T O T A G S
+*	Tests of the language packs.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+test( 'the stopwords, stemmer and parameters of a registered language pack are used', function() {
+	AUTOTAGS.registerLanguage( 'x-test', { 'BLACKLIST' : { 'foo' : true } } );
+	AUTOTAGS.registerLanguage( 'x-test', {
+		'PARAMETERS' : { 'BIGRAM_BOOST' : 7 },
+		'STEMMER' : function( word ) { return word.substring( 0, 3 ); }
+	});
+	
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'x-test' });
+	var tags = tagger.analyzeText( 'foo bars barns foo', 10 ).getTags();
+	
+	assert.strictEqual( tagger._getLanguageTagger( 'x-test' ).BIGRAM_BOOST, 7 );
+	assert.deepStrictEqual( tags.map( function( tag ) { return tag.getTermId(); } ), [ '_bar' ] );
+	assert.strictEqual( tags[0].freq, 2 );
+});
+
+test( 'the formal parameters take precedence over the parameters of the language pack', function() {
+	assert.strictEqual( new AUTOTAGS.createTagger({ 'LANGUAGE' : 'de' })._getLanguageTagger( 'de' ).CAPITALIZATION_BOOST, 1 );
+	assert.strictEqual( new AUTOTAGS.createTagger({ 'LANGUAGE' : 'de', 'CAPITALIZATION_BOOST' : 3 })._getLanguageTagger( 'de' ).CAPITALIZATION_BOOST, 3 );
+	assert.strictEqual( new AUTOTAGS.createTagger({ 'language' : 'de' }).LANGUAGE, 'de' );
+});
+
+test( 'words are stemmed with the stemmer of their language', function() {
+	assert.strictEqual( AUTOTAGS._stemToken( 'searching', 'en' ), 'search' );
+	assert.strictEqual( AUTOTAGS._stemToken( 'häuser', 'de' ), 'haus' );
+	assert.strictEqual( AUTOTAGS._stemToken( 'journaux', 'fr' ), 'journal' );
+	
+	// Languages without a stemmer are not stemmed, unregistered languages are stemmed with the Porter stemmer
+	AUTOTAGS.registerLanguage( 'x-unstemmed', {} );
+	assert.strictEqual( AUTOTAGS._stemToken( 'searching', 'x-unstemmed' ), 'searching' );
+	assert.strictEqual( AUTOTAGS._stemToken( 'searching', 'x-unregistered' ), 'search' );
+});
+
+test( 'German stopwords are stripped and inflections are counted as one term', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'de' });
+	var tags = tagger.analyzeText( 'Die Häuser der Stadt sind alt. Das Haus ist groß und die Häuser sind schön.', 10 ).getTags();
+	var house = tags.filter( function( tag ) { return tag.getTermId() == '_haus'; } )[0];
+	
+	assert.strictEqual( house.freq, 3 );
+	assert.ok( tags.every( function( tag ) { return [ '_die', '_der', '_und' ].indexOf( tag.getTermId() ) < 0; } ) );
+});
+
+test( 'French compound names can be joined by particles', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'fr' });
+	var tags = tagger.analyzeText( 'Les journaux de Paris et le journal de Lyon. Charles de Gaulle lisait les journaux.', 10 ).getTags();
+	
+	assert.deepStrictEqual( tags.map( function( tag ) { return tag.getValue(); } ), [ 'charles de gaulle', 'journaux' ] );
+	assert.strictEqual( tags[1].freq, 3 );
+});
@@ -0,0 +1,85 @@
+/**
+*	A U T O T A G S
+*	Tests of the HTML and Markdown input formats.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var HTML = '<html><head><title>Search &amp; Lucene</title><script>var index = 1;</script></head><body><h1>Indexing</h1>' +
+	'<p>Lucene is a <em>search library</em>. See <a href="docs.html">the docs</a>.<img alt="A logo"></p><pre>code here</pre></body></html>';
+var MARKDOWN = '# Indexing\n\nLucene is a **search library**. See [the docs](http://lucene.apache.org).\n\n![A logo](logo.png)\n\n```\ncode here\n```\n\nUse `inline` code.';
+
+test( 'html is split into the fields of the elements the text is found in', function() {
+	var fields = AUTOTAGS.htmlToFields( HTML, new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' }) );
+	
+	assert.deepStrictEqual( fields, {
+		'title' : 'Search & Lucene',
+		'headings' : 'Indexing',
+		'body' : 'Indexing\n\nLucene is a search library. See the docs.\n\ncode here',
+		'emphasis' : 'search library',
+		'links' : 'the docs',
+		'alt' : 'A logo'
+	});
+});
+
+test( 'markdown is split into the fields of the elements the text is found in', function() {
+	var fields = AUTOTAGS.markdownToFields( MARKDOWN, new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' }) );
+	
+	assert.deepStrictEqual( fields, {
+		'headings' : 'Indexing',
+		'body' : 'Indexing\n\nLucene is a search library. See the docs.\n\ncode here\n\nUse inline code.',
+		'emphasis' : 'search library',
+		'links' : 'the docs',
+		'alt' : 'A logo'
+	});
+});
+
+test( 'code is left out if IGNORE_CODE is set', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'IGNORE_CODE' : true });
+	
+	assert.strictEqual( AUTOTAGS.markdownToFields( MARKDOWN, tagger ).body, 'Indexing\n\nLucene is a search library. See the docs.\n\nUse code.' );
+	assert.strictEqual( AUTOTAGS.htmlToFields( HTML, tagger ).body, 'Indexing\n\nLucene is a search library. See the docs.' );
+});
+
+test( 'entities are decoded, unknown ones only if they are terminated', function() {
+	assert.strictEqual( AUTOTAGS.decodeEntities( 'R&amp;D &#233;t&#xE9; &lt;b&gt;' ), 'R&D été <b>' );
+	assert.strictEqual( AUTOTAGS.decodeEntities( 'R&D and &unknown; entities' ), 'R&D and   entities' );
+});
+
+test( 'analyzeText splits the text according to the INPUT_FORMAT', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'INPUT_FORMAT' : 'html' });
+	var expected = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' }).analyzeFields( AUTOTAGS.htmlToFields( HTML, tagger ), 10 );
+	
+	assert.deepStrictEqual( tagger.analyzeText( HTML, 10 ).toJSON(), expected.toJSON() );
+	assert.ok( tagger.analyzeText( HTML, 10 ).tags.every( function( tag ) { return tag.getValue() != 'index'; } ) );
+});
+
+test( 'a function can be given as the INPUT_FORMAT, and unknown formats are rejected', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'INPUT_FORMAT' : function( text, tagger ) {
+		return { 'title' : text.split( '\n' )[0], 'body' : text };
+	}});
+	var tagSet = tagger.analyzeText( 'Lucene\nA search library.', 10 );
+	
+	assert.strictEqual( tagSet.tags[0].getValue(), 'lucene' );
+	assert.deepStrictEqual( tagSet.tags[0].offsets[0], { 'field' : 'title', 'start' : 0, 'end' : 6 } );
+	assert.throws( function() {
+		new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'INPUT_FORMAT' : 'rtf' }).analyzeText( 'Lucene', 10 );
+	}, /Unknown input format: rtf/ );
+});
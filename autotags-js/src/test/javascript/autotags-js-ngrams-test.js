@@ -0,0 +1,72 @@
+/**
+*	A U T O T A G S
+*	Tests of the extraction of n-grams of more than two tokens.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Deep neural network training is slow. Deep neural network training needs data. Deep neural network training runs on machines.';
+
+function getValues( tagSet ) {
+	return tagSet.tags.map( function( tag ) { return tag.getValue(); } );
+}
+
+test( 'only bigrams are extracted by default', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	var tagSet = tagger.analyzeText( TEXT, 20 );
+	
+	assert.ok( tagSet.tags.every( function( tag ) { return tag.getTermType() != AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM; } ) );
+});
+
+test( 'n-grams of up to MAX_NGRAM_SIZE tokens are extracted', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'MAX_NGRAM_SIZE' : 3 });
+	var tagSet = tagger.analyzeText( 'Support vector machine models are popular. A support vector machine separates classes. Each vector is a point.', 20 );
+	
+	var values = getValues( tagSet );
+	assert.ok( values.indexOf( 'support vector machine' ) != -1 );
+	assert.strictEqual( tagSet.tags[values.indexOf( 'support vector machine' )].getTermType(), AUTOTAGS.TermConstants.TYPE_SIMPLE_NGRAM_TERM );
+});
+
+test( 'n-grams are not created across stopwords', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'MAX_NGRAM_SIZE' : 4 });
+	var tagSet = tagger.analyzeText( TEXT, 20 );
+	
+	assert.ok( getValues( tagSet ).every( function( value ) { return !/ (is|on) /.test( value ); } ) );
+});
+
+test( 'the bigrams and n-grams only found within a longer n-gram are dropped', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'MAX_NGRAM_SIZE' : 4, 'EXPLAIN' : true });
+	var tagSet = tagger.analyzeText( TEXT, 20 );
+	
+	var compoundTerms = getValues( tagSet ).filter( function( value ) { return value.indexOf( ' ' ) != -1; } );
+	assert.deepStrictEqual( compoundTerms, [ 'deep neural network training' ] );
+	
+	var dropped = tagSet.tags[getValues( tagSet ).indexOf( 'deep neural network training' )].explanation.dropped.map( function( candidate ) { return candidate.value; } );
+	assert.ok( dropped.indexOf( 'neural network training' ) != -1 );
+});
+
+test( 'the bigrams found more often than the n-grams containing them are kept', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'MAX_NGRAM_SIZE' : 3 });
+	var tagSet = tagger.analyzeText( TEXT + ' Neural network models are large. Neural network models are deep.', 20 );
+	
+	var values = getValues( tagSet );
+	assert.ok( values.indexOf( 'neural network' ) != -1 );
+	assert.ok( values.indexOf( 'deep neural' ) == -1 );
+});
@@ -0,0 +1,49 @@
+/**
+*	A U T O T A G S
+*	Tests of the Node.js entry points.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var path = require( 'path' );
+var url = require( 'url' );
+var AUTOTAGS = require( '../../main/javascript/autotags-js-node.js' );
+
+test( 'nothing is added to the global scope', function() {
+	assert.strictEqual( typeof global.AUTOTAGS, 'undefined' );
+	assert.strictEqual( typeof global.stemWord, 'undefined' );
+	assert.strictEqual( typeof global.step2list, 'undefined' );
+});
+
+test( 'the library is exported with the stemmer and all language packs', function() {
+	assert.strictEqual( typeof AUTOTAGS.createTagger, 'function' );
+	assert.strictEqual( typeof AUTOTAGS.Corpus, 'function' );
+	assert.strictEqual( AUTOTAGS.stemWord( 'searching' ), 'search' );
+	assert.deepStrictEqual( Object.keys( AUTOTAGS.LANGUAGES ).sort(), [ 'de', 'en', 'es', 'fr' ] );
+	
+	var tagSet = new AUTOTAGS.createTagger().analyzeText( 'Search engines search. The search engine is fast.', 10 );
+	assert.strictEqual( tagSet.getTags()[0].getValue(), 'search' );
+});
+
+test( 'the ES module exports the same library', async function() {
+	var module = await import( url.pathToFileURL( path.join( __dirname, '../../main/javascript/autotags-js.mjs' ) ).href );
+	
+	assert.strictEqual( module.default, AUTOTAGS );
+	assert.strictEqual( module.createTagger, AUTOTAGS.createTagger );
+	assert.strictEqual( module.stemWord, AUTOTAGS.stemWord );
+});
@@ -0,0 +1,61 @@
+/**
+*	A U T O T A G S
+*	Tests of term normalisation.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var NORMALISATIONS = { 'e-mail' : 'email', 'e-mail address' : 'contact', 'youtube' : 'video sharing', 'ifilm' : 'video sharing' };
+
+function getTagById( tagSet, termId ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getTermId() == termId; } )[0];
+}
+
+test( 'variants are replaced with their canonical terms, whatever their case', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'NORMALISATIONS' : NORMALISATIONS });
+	
+	assert.strictEqual( tagger._normaliseText( 'An E-Mail about YouTube, and one about iFilm.' ), 'An email about video sharing, and one about video sharing.' );
+});
+
+test( 'variants are only replaced as whole words, the longest first', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'NORMALISATIONS' : NORMALISATIONS });
+	
+	assert.strictEqual( tagger._normaliseText( 'My e-mail address, e-mails and myyoutube.' ), 'My contact, e-mails and myyoutube.' );
+});
+
+test( 'the frequencies of the variants add up', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'NORMALISATIONS' : NORMALISATIONS });
+	var tagSet = tagger.analyzeText( 'Send an e-mail or an email. YouTube and iFilm host videos.', 10 );
+	
+	assert.strictEqual( getTagById( tagSet, '_email' ).freq, 2 );
+	assert.strictEqual( getTagById( tagSet, '_video sharing' ).freq, 2 );
+});
+
+test( 'variants may contain regular expression metacharacters', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'NORMALISATIONS' : { 'c++' : 'cplusplus' } });
+	
+	assert.strictEqual( tagger._normaliseText( 'Written in C++ (mostly).' ), 'Written in cplusplus (mostly).' );
+});
+
+test( 'nothing is replaced without normalisations', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'NORMALISATIONS' : {} });
+	
+	assert.strictEqual( tagger._normaliseText( 'An e-mail.' ), 'An e-mail.' );
+});
@@ -0,0 +1,93 @@
+/**
+*	A U T O T A G S
+*	Tests of the character offsets of the occurrences of terms.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Apache Lucene is a search library. The search library is used by Apache Solr, see https://lucene.apache.org for #search.\n\n'
+	+ 'Search libraries index documents, and an index of documents is searched with the search library.';
+
+// Keeps hyphens within tokens, which the TOKEN_EXPRESSION does not
+var HYPHENATED_WHITESPACE_EXPRESSION = AUTOTAGS.createExpression( "(')?([^%LETTER%%DIGIT%_\\-.!?:;\\n\\r\\f\\t])", 'g' );
+var HYPHENATED_TEXT = 'State-of-the-art machine-learning models use machine-learning pipelines.';
+
+/*
+*	Asserts that each occurrence of each tag covers the tag (or one of its variants) in the text
+*/
+function assertOffsets( texts, tagSet ) {
+	tagSet.getTags().forEach( function( tag ) {
+		var values = [ tag.getValue() ].concat( tag.getVariants().map( function( variant ) { return variant.value; } ) );
+		
+		tag.offsets.forEach( function( offsets ) {
+			var occurrence = texts[offsets.field].substring( offsets.start, offsets.end ).toLowerCase().replace( /\s+/g, ' ' );
+			
+			assert.ok( values.indexOf( occurrence ) >= 0, JSON.stringify( occurrence ) + ' is not an occurrence of ' + JSON.stringify( tag.getValue() ) );
+		});
+	});
+}
+
+function getTag( tagSet, value ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'the offsets of all tags cover their occurrences in the text', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'MAX_NGRAM_SIZE' : 3 });
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	
+	assertOffsets( { 'text' : TEXT }, tagSet );
+	assert.strictEqual( getTag( tagSet, 'search library' ).offsets.length, 3 );
+	assert.strictEqual( getTag( tagSet, 'https://lucene.apache.org' ).offsets.length, 1 );
+});
+
+test( 'the offsets are within the field the occurrence was found in', function() {
+	var fields = { 'title' : 'Apache Lucene', 'body' : TEXT };
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	var tagSet = tagger.analyzeFields( fields, 30 );
+	
+	assertOffsets( fields, tagSet );
+	assert.deepStrictEqual( getTag( tagSet, 'apache lucene' ).offsets[0], { 'field' : 'title', 'start' : 0, 'end' : 13 } );
+});
+
+test( 'the offsets of normalised terms cover the variants as they were written', function() {
+	var text = 'Send an e-mail, or an email. Emails are read.';
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'NORMALISATIONS' : { 'e-mail' : 'email' } });
+	var tag = getTag( tagger.analyzeText( text, 10 ), 'email' );
+	
+	assert.deepStrictEqual( tag.offsets.map( function( offsets ) { return text.substring( offsets.start, offsets.end ); } ), [ 'e-mail', 'email', 'Emails' ] );
+});
+
+test( 'tokens kept together by a custom WHITESPACE_EXPRESSION are found in the text', function() {
+	[ 2, 4 ].forEach( function( maxNGramSize ) {
+		var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'WHITESPACE_EXPRESSION' : HYPHENATED_WHITESPACE_EXPRESSION, 'MAX_NGRAM_SIZE' : maxNGramSize });
+		var tagSet = tagger.analyzeText( HYPHENATED_TEXT, 10 );
+		
+		assertOffsets( { 'text' : HYPHENATED_TEXT }, tagSet );
+		assert.strictEqual( getTag( tagSet, 'machine-learning' ).offsets.length, 2 );
+	});
+});
+
+test( 'whitelist phrases made of tokens kept together by a custom WHITESPACE_EXPRESSION are found in the text', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'WHITESPACE_EXPRESSION' : HYPHENATED_WHITESPACE_EXPRESSION, 'WHITELIST' : [ 'machine-learning models' ] });
+	var tagSet = tagger.analyzeText( HYPHENATED_TEXT, 10 );
+	
+	assertOffsets( { 'text' : HYPHENATED_TEXT }, tagSet );
+	assert.strictEqual( getTag( tagSet, 'machine-learning models' ).offsets.length, 1 );
+});
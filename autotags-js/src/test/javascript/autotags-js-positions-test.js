@@ -0,0 +1,97 @@
+/**
+*	A U T O T A G S
+*	Tests of the positions of the occurrences of terms and of position based weighting.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Apache Lucene is a search library. The search library is used by Apache Solr and by many others.\n\n'
+	+ 'Search libraries index documents, and an index of documents is searched with the search library.';
+
+function getTag( tagSet, value ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'the positions of all terms are indexes of their first tokens', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	
+	// Whatever the type of term, the position of an occurrence is that of its first token
+	var positionsOfSearch = getTag( tagSet, 'search' ).positions;
+	getTag( tagSet, 'search library' ).positions.forEach( function( position ) {
+		assert.ok( positionsOfSearch.indexOf( position ) >= 0 );
+	});
+	assert.strictEqual( getTag( tagSet, 'apache lucene' ).positions[0], getTag( tagSet, 'apache' ).positions[0] );
+	assert.strictEqual( getTag( tagSet, 'apache solr' ).positions[0], getTag( tagSet, 'apache' ).positions[1] );
+	assert.strictEqual( getTag( tagSet, 'search library' ).positions.length, 3 );
+});
+
+test( 'terms are not weighted by position by default', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	
+	tagger.analyzeText( TEXT, 30 ).getTags().forEach( function( tag ) {
+		assert.strictEqual( tag.positionBoost, 1 );
+	});
+});
+
+test( 'with linear decay the earlier a term is first found the higher its boost', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'POSITION_DECAY' : 'linear' });
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	
+	assert.ok( getTag( tagSet, 'apache lucene' ).positionBoost > getTag( tagSet, 'apache solr' ).positionBoost );
+	assert.ok( getTag( tagSet, 'apache solr' ).positionBoost > getTag( tagSet, 'documents' ).positionBoost );
+	assert.ok( getTag( tagSet, 'apache lucene' ).positionBoost <= 1 + tagger.POSITION_BOOST );
+	assert.ok( getTag( tagSet, 'documents' ).positionBoost > 1 );
+});
+
+test( 'the lead ends at the first paragraph break', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'POSITION_DECAY' : 'lead' });
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	
+	assert.strictEqual( getTag( tagSet, 'apache solr' ).positionBoost, 1 + tagger.POSITION_BOOST );
+	assert.strictEqual( getTag( tagSet, 'documents' ).positionBoost, 1 );
+});
+
+test( 'without a paragraph break the lead is POSITION_LEAD_SIZE of the text', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'POSITION_DECAY' : 'lead', 'POSITION_LEAD_SIZE' : 0.5 });
+	var tagSet = tagger.analyzeText( TEXT.replace( '\n\n', ' ' ), 30 );
+	
+	assert.strictEqual( getTag( tagSet, 'apache solr' ).positionBoost, 1 + tagger.POSITION_BOOST );
+	assert.strictEqual( getTag( tagSet, 'documents' ).positionBoost, 1 );
+	
+	tagger.POSITION_LEAD_SIZE = 0.1;
+	tagSet = tagger.analyzeText( TEXT.replace( '\n\n', ' ' ), 30 );
+	assert.strictEqual( getTag( tagSet, 'apache lucene' ).positionBoost, 1 + tagger.POSITION_BOOST );
+	assert.strictEqual( getTag( tagSet, 'apache solr' ).positionBoost, 1 );
+});
+
+test( 'the decay can be a function of the relative position', function() {
+	var relativePositions = new Array();
+	var tagger = new AUTOTAGS.createTagger({ 'POSITION_DECAY' : function( relativePosition ) {
+		relativePositions.push( relativePosition );
+		return 0.5;
+	}});
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	
+	assert.strictEqual( getTag( tagSet, 'documents' ).positionBoost, 1 + 0.5 * tagger.POSITION_BOOST );
+	relativePositions.forEach( function( relativePosition ) {
+		assert.ok( relativePosition >= 0 && relativePosition < 1 );
+	});
+});
@@ -0,0 +1,71 @@
+/**
+*	A U T O T A G S
+*	Tests of the JSON serialization of tag sets.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Apache Lucene is a search library. Apache Lucene is fast. Lucene rocks.';
+
+function analyzeText() {
+	var tagger = new AUTOTAGS.createTagger({ 'ASSOCIATIONS' : { 'lucene' : [ 'search' ] } });
+	return tagger.analyzeText( TEXT, 5 );
+}
+
+test( 'the tag set is serialized with every property of the tags', function() {
+	var json = analyzeText().toJSON();
+	
+	assert.strictEqual( json.version, AUTOTAGS.TagSet.SERIALIZATION_VERSION );
+	assert.strictEqual( json.language, 'en' );
+	assert.deepStrictEqual( json.tags[1], {
+		'value' : 'lucene', 'termId' : '_lucen', 'type' : 'TYPE_SINGLE_TERM', 'freq' : 3, 'boost' : 0.328125, 'positionBoost' : 1, 'idf' : 1, 'rank' : null,
+		'score' : 0.984375, 'language' : 'en', 'variants' : [ { 'value' : 'Lucene', 'freq' : 3 } ], 'positions' : [ 2, 9, 13 ],
+		'offsets' : [ { 'field' : 'text', 'start' : 7, 'end' : 13 }, { 'field' : 'text', 'start' : 42, 'end' : 48 }, { 'field' : 'text', 'start' : 58, 'end' : 64 } ],
+		'taxonomyId' : null, 'confidence' : null, 'triggeredBy' : [], 'explanation' : null
+	});
+	assert.deepStrictEqual( json.tags[3].triggeredBy, [ 'lucene' ] );
+});
+
+test( 'a serialized tag set is restored as it was', function() {
+	var tagSet = analyzeText();
+	var string = JSON.stringify( tagSet );
+	var restoredTagSet = AUTOTAGS.TagSet.fromJSON( string );
+	
+	assert.strictEqual( JSON.stringify( restoredTagSet ), string );
+	assert.strictEqual( restoredTagSet.language, 'en' );
+	assert.strictEqual( restoredTagSet.getTags()[1].getValue(), 'lucene' );
+	assert.deepStrictEqual( restoredTagSet.getTags()[1].getVariants(), [ { 'value' : 'Lucene', 'freq' : 3 } ] );
+	assert.deepStrictEqual( AUTOTAGS.TagSet.fromJSON( tagSet.toJSON() ).toJSON(), tagSet.toJSON() );
+});
+
+test( 'the term ids are restored without stemming the terms again', function() {
+	var term = AUTOTAGS.Term.fromJSON({ 'value' : 'searching', 'termId' : '_searching', 'type' : 'TYPE_SINGLE_TERM', 'freq' : 2, 'boost' : 1.5 });
+	
+	assert.strictEqual( term.getTermId(), '_searching' );
+	assert.strictEqual( term.getScore(), 3 );
+	assert.strictEqual( term.language, AUTOTAGS.DEFAULT_LANGUAGE );
+	assert.deepStrictEqual( term.positions, [] );
+});
+
+test( 'other versions of the schema are refused', function() {
+	assert.throws( function() {
+		AUTOTAGS.TagSet.fromJSON( { 'version' : 2, 'tags' : [] } );
+	}, /Unsupported tag set version: 2/ );
+});
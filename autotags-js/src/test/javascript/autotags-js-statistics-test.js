@@ -0,0 +1,68 @@
+/**
+*	A U T O T A G S
+*	Tests of analyzing many documents in one go.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var DOCUMENTS = [
+	'Apache Lucene is a search library. Apache Lucene is fast. Search is fun.',
+	'Apache Solr uses Apache Lucene. Apache Lucene is everywhere.',
+	{ 'title' : 'Search', 'body' : 'Search engines search. The search engine is fast.' }
+];
+
+function analyzeDocuments() {
+	var tagger = new AUTOTAGS.createTagger({ 'TAG_CONSTANTS' : [ 'news' ] });
+	return tagger.analyzeDocuments( DOCUMENTS, 5 );
+}
+
+test( 'each document is analyzed as a text or as fields', function() {
+	var tagStatistics = analyzeDocuments();
+	var tagSets = tagStatistics.getTagSets();
+	
+	assert.strictEqual( tagStatistics.getNumberOfDocuments(), 3 );
+	assert.strictEqual( tagSets[0].getTags()[0].getValue(), 'apache lucene' );
+	assert.strictEqual( tagSets[2].getTags()[0].getValue(), 'search' );
+	assert.strictEqual( tagSets[2].getTags()[0].freq, 6 );
+});
+
+test( 'the documents each tag was suggested for are counted, leaving out the tag constants', function() {
+	var tagStatistics = analyzeDocuments();
+	
+	assert.deepStrictEqual( tagStatistics.getDocumentFrequencies(), { 'apache lucene' : 2, 'search' : 2, 'apache' : 2, 'lucene' : 2, 'apache solr' : 1, 'engines' : 1 } );
+	assert.strictEqual( tagStatistics.getDocumentFrequency( 'Apache Lucene' ), 2 );
+	assert.strictEqual( tagStatistics.getDocumentFrequency( 'news' ), 0 );
+});
+
+test( 'the documents tags were suggested together for are counted', function() {
+	var tagStatistics = analyzeDocuments();
+	
+	assert.deepStrictEqual( tagStatistics.getCoOccurrences( 'apache lucene' ), { 'search' : 1, 'apache' : 2, 'lucene' : 2, 'apache solr' : 1 } );
+	assert.strictEqual( tagStatistics.getCoOccurrence( 'search', 'Apache Lucene' ), 1 );
+	assert.strictEqual( tagStatistics.getCoOccurrence( 'engines', 'apache solr' ), 0 );
+});
+
+test( 'the top tags are the ones with the highest total score', function() {
+	var topTags = analyzeDocuments().getTopTags( 3 ).getTags();
+	
+	assert.deepStrictEqual( topTags.map( function( tag ) { return tag.getValue(); } ), [ 'apache lucene', 'search', 'apache solr' ] );
+	assert.strictEqual( topTags[0].getScore(), 14 );
+	assert.strictEqual( topTags[0].freq, 2 );
+});
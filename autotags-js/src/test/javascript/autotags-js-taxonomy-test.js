@@ -0,0 +1,114 @@
+/**
+*	A U T O T A G S
+*	Tests of the mapping of tags to the nodes of a taxonomy.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var NODES = [
+	{ 'id' : 'ai', 'label' : 'Artificial Intelligence', 'aliases' : [ 'AI' ], 'children' : [
+		{ 'id' : 'ml', 'label' : 'Machine Learning', 'children' : [
+			{ 'id' : 'nn', 'label' : 'Neural Network' }
+		] },
+		{ 'id' : 'nlp', 'label' : 'Natural Language Processing', 'aliases' : [ 'NLP' ] }
+	] },
+	{ 'id' : 'db', 'label' : 'Databases' }
+];
+var TEXT = 'Machine learning is popular. Machine learning uses neural networks. Neural networks learn. NLP is fun. NLP parses text. ' +
+	'Databases store data. Databases scale.';
+
+function createTaxonomy() {
+	var taxonomy = new AUTOTAGS.Taxonomy();
+	taxonomy.addNodes( NODES );
+	
+	return taxonomy;
+}
+
+function getTag( tagSet, id ) {
+	return tagSet.tags.filter( function( tag ) { return tag.taxonomyId == id; } )[0];
+}
+
+test( 'nodes are matched exactly, by alias or when stemmed', function() {
+	var taxonomy = createTaxonomy();
+	
+	assert.deepStrictEqual( [ 'machine learning', 'ai', 'neural networks', 'deep learning' ].map( function( value ) {
+		var match = taxonomy.match( value, 'en' );
+		return ( match != null ) ? [ match.node.id, match.matchType, match.confidence ] : null;
+	}), [ [ 'ml', 'exact', 1 ], [ 'ai', 'alias', 0.9 ], [ 'nn', 'stemmed', 0.75 ], null ] );
+	assert.deepStrictEqual( taxonomy.getAncestors( 'nn' ).map( function( node ) { return node.id; } ), [ 'ml', 'ai' ] );
+});
+
+test( 'only the nodes matched by the tags are returned, with their labels', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'TAXONOMY' : createTaxonomy() });
+	var tagSet = tagger.analyzeText( TEXT, 10 );
+	
+	assert.deepStrictEqual( tagSet.tags.map( function( tag ) { return tag.taxonomyId; } ).sort(), [ 'db', 'ml', 'nlp', 'nn' ] );
+	assert.ok( tagSet.tags.every( function( tag ) { return tag.getTermType() == AUTOTAGS.TermConstants.TYPE_TAXONOMY_TERM; } ) );
+	assert.strictEqual( getTag( tagSet, 'nn' ).getValue(), 'Neural Network' );
+	assert.strictEqual( getTag( tagSet, 'ai' ), undefined );
+});
+
+test( 'the ancestors of the nodes matched are returned with TAXONOMY_ROLL_UP', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'TAXONOMY' : createTaxonomy(), 'TAXONOMY_ROLL_UP' : true });
+	var tagSet = tagger.analyzeText( TEXT, 10 );
+	var weight = tagger.TAXONOMY_ROLL_UP_WEIGHT;
+	
+	var directScores = { 'nlp' : getTag( tagSet, 'nlp' ).getScore(), 'nn' : getTag( tagSet, 'nn' ).getScore() };
+	directScores['ml'] = getTag( tagSet, 'ml' ).getScore() - directScores['nn'] * weight;
+	
+	var expectedScore = ( directScores['ml'] + directScores['nlp'] ) * weight + directScores['nn'] * weight * weight;
+	assert.ok( Math.abs( getTag( tagSet, 'ai' ).getScore() - expectedScore ) < 1e-9 );
+});
+
+test( 'the confidence of an ancestor is the mean of the confidences of its descendants, weighted by their scores', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'TAXONOMY' : createTaxonomy(), 'TAXONOMY_ROLL_UP' : true, 'TAXONOMY_ROLL_UP_WEIGHT' : 1 });
+	var tagSet = tagger.analyzeText( 'Machine learning is popular. Machine learning models learn. NLP is fun. NLP parses text.', 10 );
+	var machineLearning = getTag( tagSet, 'ml' ).getScore();
+	var nlp = getTag( tagSet, 'nlp' ).getScore();
+	
+	// Machine learning matches its node exactly, and NLP the alias of its node
+	var expectedConfidence = ( machineLearning * 1 + nlp * 0.9 ) / ( machineLearning + nlp );
+	assert.ok( Math.abs( getTag( tagSet, 'ai' ).confidence - expectedConfidence ) < 1e-9 );
+	assert.ok( getTag( tagSet, 'ai' ).confidence < 1 );
+});
+
+test( 'the nodes matched with less than TAXONOMY_MIN_CONFIDENCE are left out', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'TAXONOMY' : createTaxonomy(), 'TAXONOMY_MIN_CONFIDENCE' : 0.8 });
+	var tagSet = tagger.analyzeText( TEXT, 10 );
+	
+	assert.ok( tagSet.tags.every( function( tag ) { return tag.confidence >= 0.8; } ) );
+	assert.strictEqual( getTag( tagSet, 'nn' ), undefined );
+});
+
+test( 'terms matching a node are not dropped for being infrequent', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'TAXONOMY' : createTaxonomy() });
+	var tagSet = tagger.analyzeText( 'Machine learning is popular. Machine learning scales. Databases are mentioned once.', 10 );
+	
+	assert.notStrictEqual( getTag( tagSet, 'db' ), undefined );
+});
+
+test( 'a taxonomy is restored from its JSON', function() {
+	var taxonomy = AUTOTAGS.Taxonomy.fromJSON( JSON.stringify( createTaxonomy() ) );
+	
+	assert.strictEqual( taxonomy.getNumberOfNodes(), 5 );
+	assert.strictEqual( taxonomy.getParent( 'nlp' ).id, 'ai' );
+	assert.strictEqual( taxonomy.match( 'NLP', 'en' ).node.id, 'nlp' );
+	assert.throws( function() { AUTOTAGS.Taxonomy.fromJSON( { 'version' : 0, 'nodes' : [] } ); }, /Unsupported taxonomy version/ );
+});
@@ -0,0 +1,85 @@
+/**
+*	A U T O T A G S
+*	Tests of the TextRank ranking mode.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'Compatibility of systems of linear constraints over the set of natural numbers. Criteria of compatibility of a system of linear Diophantine equations, strict inequations, and nonstrict inequations are considered.';
+
+function getTag( tagSet, value ) {
+	return tagSet.tags.filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'the tags are scored by their rank rather than by their frequency', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'RANKING' : 'textrank' });
+	var tagSet = tagger.analyzeText( TEXT, 10 );
+	
+	assert.ok( tagSet.tags.length > 0 );
+	tagSet.tags.forEach( function( tag ) {
+		assert.ok( tag.rank > 0, tag.getValue() );
+		assert.strictEqual( tag.getScore(), tag.rank * tag.boost * tag.positionBoost * tag.idf );
+	});
+	
+	for ( var i = 1; i < tagSet.tags.length; i++ ) {
+		assert.ok( tagSet.tags[i - 1].getScore() >= tagSet.tags[i].getScore() );
+	}
+});
+
+test( 'adjacent top ranking words are merged into phrases ranking as the sum of their words', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'RANKING' : 'textrank', 'EXPLAIN' : true });
+	var tagSet = tagger.analyzeText( TEXT, 30 );
+	var phrase = getTag( tagSet, 'natural numbers' );
+	
+	assert.strictEqual( phrase.getTermType(), AUTOTAGS.TermConstants.TYPE_SIMPLE_BIGRAM_TERM );
+	assert.deepStrictEqual( phrase.offsets.map( function( offsets ) { return TEXT.substring( offsets.start, offsets.end ); } ), [ 'natural numbers' ] );
+	
+	var words = getTag( tagSet, 'natural' ) || getTag( tagSet, 'numbers' );
+	assert.ok( words == undefined || words.explanation.boosts.some( function( boost ) { return boost.reason == 'TERM_FROM_COMPOUND_DOWNWEIGHT'; } ) );
+});
+
+test( 'the words are linked within the TEXTRANK_WINDOW only', function() {
+	var windows = [ 2, 5 ].map( function( window ) {
+		var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'RANKING' : 'textrank', 'TEXTRANK_WINDOW' : window });
+		return getTag( tagger.analyzeText( TEXT, 30 ), 'linear' ).rank;
+	});
+	
+	assert.notStrictEqual( windows[0], windows[1] );
+});
+
+test( 'the frequency ranking is used by default and for unknown rankings', function() {
+	var expected = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' }).analyzeText( TEXT, 10 );
+	var tagSet = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'RANKING' : 'unknown' }).analyzeText( TEXT, 10 );
+	
+	assert.deepStrictEqual( tagSet.toJSON(), expected.toJSON() );
+	assert.ok( expected.tags.every( function( tag ) { return tag.rank == null; } ) );
+});
+
+test( 'a function can be given as the RANKING', function() {
+	var calls = new Array();
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'RANKING' : function( tagger, frequencyLists, candidateSequences, numberOfTagsToReturn ) {
+		calls.push( { 'sequences' : candidateSequences.length, 'numberOfTagsToReturn' : numberOfTagsToReturn } );
+		return AUTOTAGS.RANKINGS['frequency']( tagger, frequencyLists, candidateSequences, numberOfTagsToReturn );
+	}});
+	var tagSet = tagger.analyzeFields( { 'title' : 'Linear constraints', 'body' : TEXT }, 5 );
+	
+	assert.deepStrictEqual( calls, [ { 'sequences' : 2, 'numberOfTagsToReturn' : 5 } ] );
+	assert.strictEqual( tagSet.tags.length, 5 );
+});
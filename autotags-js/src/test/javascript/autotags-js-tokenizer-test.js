@@ -0,0 +1,78 @@
+/**
+*	A U T O T A G S
+*	Tests of stopword removal (the tokenizer).
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+/*
+*	The fixture holds texts as they are passed to the tokenizer (whitespace and boundaries replaced) and the tokens
+*	that were left of them when stopwords were removed with a regular expression built from the English blacklist,
+*	before the stopword set replaced it. The tokens left must be the same.
+*/
+var FIXTURE = require( './fixtures/stopword-tokens.json' );
+
+function tokenize( tagger, text ) {
+	return tagger._tokenize( text ).tokens.filter( function( token ) {
+		return token.length > 0;
+	});
+}
+
+test( 'leaves the same tokens as the stopword expression on the English blacklist', function() {
+	FIXTURE.forEach( function( fixture ) {
+		var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS' : fixture.removeShortNumbers });
+		
+		assert.deepStrictEqual( tokenize( tagger, fixture.input ), fixture.tokens );
+	});
+});
+
+test( 'removes stopwords regardless of case', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	
+	assert.deepStrictEqual( tokenize( tagger, ' The THE the Search ' ), [ 'Search' ] );
+});
+
+test( 'removes short numbers only if REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS is set', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	
+	assert.deepStrictEqual( tokenize( tagger, ' 42 lucene 2009 ' ), [ 'lucene', '2009' ] );
+	
+	tagger.REMOVE_SHORT_NUMBERS_AS_SINGLE_TOKENS = false;
+	assert.deepStrictEqual( tokenize( tagger, ' 42 lucene 2009 ' ), [ '42', 'lucene', '2009' ] );
+});
+
+test( 'blacklist entries may contain regular expression metacharacters', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	tagger.addToBlackList( [ 'c++', '(', 'a.b' ] );
+	
+	assert.deepStrictEqual( tokenize( tagger, ' c++ ( a.b lucene ' ), [ 'lucene' ] );
+	assert.doesNotThrow( function() {
+		tagger.analyzeText( 'Lucene is written in Java, not in C++ (or a.b).' );
+	});
+});
+
+test( 'rebuilds the stopwords when the blacklist changes', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en' });
+	
+	assert.deepStrictEqual( tokenize( tagger, ' lucene solr ' ), [ 'lucene', 'solr' ] );
+	
+	tagger.addToBlackList( [ 'solr' ] );
+	assert.deepStrictEqual( tokenize( tagger, ' lucene solr ' ), [ 'lucene' ] );
+});
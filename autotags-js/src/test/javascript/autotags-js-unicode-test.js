@@ -0,0 +1,63 @@
+/**
+*	A U T O T A G S
+*	Tests of the tokenisation of text in any script.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+function getTag( tagSet, value ) {
+	return tagSet.getTags().filter( function( tag ) { return tag.getValue() == value; } )[0];
+}
+
+test( 'the fragment names are replaced in expressions', function() {
+	var expression = AUTOTAGS.createExpression( '%WORD_BOUNDARY%[%UPPERCASE%][%LOWERCASE%]+%WORD_BOUNDARY%', 'g' );
+	
+	assert.deepStrictEqual( 'Zürich, café and Ærø'.match( expression ), [ 'Zürich', 'Ærø' ] );
+});
+
+test( 'letters outside of ASCII are part of the tokens', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'APPLY_STEMMING' : false });
+	var tagSet = tagger.analyzeText( 'Straße und Straße. Ein café in Zürich, the café in Zürich.', 10 );
+	
+	assert.strictEqual( getTag( tagSet, 'straße' ).freq, 2 );
+	assert.strictEqual( getTag( tagSet, 'café' ).freq, 2 );
+	assert.strictEqual( getTag( tagSet, 'zürich' ).freq, 2 );
+});
+
+test( 'capitalised compound terms are found in any script', function() {
+	var tagger = new AUTOTAGS.createTagger();
+	var tagSet = tagger.analyzeText( 'Łódź Kaliska is a station. Łódź Kaliska opened. Łódź Kaliska.', 10 );
+	
+	assert.strictEqual( getTag( tagSet, 'łódź kaliska' ).getTermType(), AUTOTAGS.TermConstants.TYPE_CAPITALISED_COMPOUND_TERM );
+	assert.strictEqual( getTag( tagSet, 'łódź kaliska' ).freq, 3 );
+	
+	tagSet = tagger.analyzeText( 'Ελληνική γλώσσα. Ελληνική γλώσσα είναι. Ελληνική γλώσσα', 10 );
+	
+	assert.strictEqual( getTag( tagSet, 'ελληνική γλώσσα' ).freq, 3 );
+	assert.strictEqual( getTag( tagSet, 'γλώσσα' ).freq, 3 );
+});
+
+test( 'normalisations only replace whole words of any script', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'NORMALISATIONS' : { 'thé' : 'tea' }, 'TERM_FREQUENCY_CUTOFF' : 0 });
+	var tagSet = tagger.analyzeText( 'Un thé vert, un thé noir et le théâtre.', 20 );
+	
+	assert.strictEqual( getTag( tagSet, 'tea' ).freq, 2 );
+	assert.strictEqual( getTag( tagSet, 'théâtre' ).freq, 1 );
+});
@@ -0,0 +1,93 @@
+/**
+*	A U T O T A G S
+*	Tests of the phrase matcher and of whitelist phrase matching.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+function findAll( phrases, tokens ) {
+	var phraseMatcher = new AUTOTAGS.PhraseMatcher();
+	
+	phrases.forEach( function( phrase ) {
+		phraseMatcher.addPhrase( phrase.split( ' ' ) );
+	});
+	
+	return phraseMatcher.findAll( tokens ).map( function( match ) {
+		return tokens.slice( match.start, match.end + 1 ).join( ' ' );
+	}).sort();
+}
+
+test( 'the phrase matcher finds all occurrences of all phrases, overlapping or not', function() {
+	var tokens = 'a b c d a b c a b'.split( ' ' );
+	
+	assert.deepStrictEqual( findAll( [ 'a b', 'b c', 'a b c d', 'c a' ], tokens ), [ 'a b', 'a b', 'a b', 'a b c d', 'b c', 'b c', 'c a' ] );
+});
+
+test( 'the phrase matcher finds phrases that are suffixes of other phrases', function() {
+	assert.deepStrictEqual( findAll( [ 'x a b c', 'b c', 'c' ], 'y a b c'.split( ' ' ) ), [ 'b c', 'c' ] );
+	assert.deepStrictEqual( findAll( [ 'x a b c', 'b c', 'c' ], 'x a b c'.split( ' ' ) ), [ 'b c', 'c', 'x a b c' ] );
+});
+
+test( 'the phrase matcher does not find phrases across null tokens', function() {
+	assert.deepStrictEqual( findAll( [ 'a b' ], [ 'a', null, 'b', 'a', 'b' ] ), [ 'a b' ] );
+});
+
+test( 'the phrase matcher finds phrases added after it was used', function() {
+	var phraseMatcher = new AUTOTAGS.PhraseMatcher();
+	phraseMatcher.addPhrase( [ 'a', 'b' ] );
+	
+	assert.strictEqual( phraseMatcher.findAll( [ 'a', 'b', 'c' ] ).length, 1 );
+	
+	phraseMatcher.addPhrase( [ 'b', 'c' ] );
+	assert.deepStrictEqual( phraseMatcher.findAll( [ 'a', 'b', 'c' ] ), [ { 'start' : 0, 'end' : 1 }, { 'start' : 1, 'end' : 2 } ] );
+	assert.strictEqual( phraseMatcher.numberOfPhrases, 2 );
+});
+
+test( 'whitelist phrases are found even if they contain stopwords or short tokens', function() {
+	var text = 'The bag of words model is simple. We compare bag of words with embeddings. AI research moves fast, and ai research labs grow.';
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'WHITELIST' : [ 'bag of words', 'ai research' ] });
+	var values = tagger.analyzeText( text, 10 ).getTags().map( function( tag ) { return tag.getValue(); } );
+	
+	assert.ok( values.indexOf( 'bag of words' ) >= 0 );
+	assert.ok( values.indexOf( 'ai research' ) >= 0 );
+	
+	tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'WHITELIST' : [ 'bag of words', 'ai research' ], 'WHITELIST_PHRASE_MATCHING' : false });
+	values = tagger.analyzeText( text, 10 ).getTags().map( function( tag ) { return tag.getValue(); } );
+	
+	assert.strictEqual( values.indexOf( 'bag of words' ), -1 );
+});
+
+test( 'whitelist terms are matched as they are listed and as they are tokenised', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'WHITELIST' : [ 'metropolis-hastings' ] });
+	
+	assert.strictEqual( tagger.isInWhiteList( 'Metropolis-Hastings' ), true );
+	assert.strictEqual( tagger.isInWhiteList( 'metropolis hastings' ), true );
+	assert.strictEqual( tagger.isInWhiteList( 'metropolis' ), false );
+});
+
+test( 'the whitelist index is rebuilt when the whitelist changes', function() {
+	var whitelist = [ 'bag of words' ];
+	var tagger = new AUTOTAGS.createTagger({ 'LANGUAGE' : 'en', 'WHITELIST' : whitelist });
+	
+	assert.strictEqual( tagger._getWhiteListIndex().phraseMatcher.numberOfPhrases, 1 );
+	
+	whitelist.push( 'ai research' );
+	assert.strictEqual( tagger._getWhiteListIndex().phraseMatcher.numberOfPhrases, 2 );
+});
@@ -0,0 +1,83 @@
+/**
+*	A U T O T A G S
+*	Tests of the word lists of taggers.
+*
+*	Copyright (C) 2007  Hjortur Stefan Olafsson
+*
+*	This program is free software: you can redistribute it and/or modify
+*	it under the terms of the GNU General Public License as published by
+*	the Free Software Foundation, either version 3 of the License, or
+*	(at your option) any later version.
+*
+*	This program is distributed in the hope that it will be useful,
+*	but WITHOUT ANY WARRANTY; without even the implied warranty of
+*	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+*	GNU General Public License for more details.
+*
+*	You should have received a copy of the GNU General Public License
+*	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*
+*/
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var AUTOTAGS = require( './autotags-js-test-helper.js' );
+
+var TEXT = 'The company said the search engine is fast. The engine said hello. Java is great.';
+
+function getValues( tagSet ) {
+	return tagSet.getTags().map( function( tag ) { return tag.getValue(); } );
+}
+
+test( 'each tagger has its own whitelist', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'WHITELIST' : [ 'java' ] });
+	
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'java', 'engine' ] );
+	assert.deepStrictEqual( getValues( new AUTOTAGS.createTagger().analyzeText( TEXT, 10 ) ), [ 'engine' ] );
+	
+	tagger.removeFromWhiteList( 'Java' );
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'engine' ] );
+	
+	tagger.addToWhiteList( [ 'Java', 'Company' ] );
+	assert.deepStrictEqual( tagger.getWhiteList(), [ 'java', 'company' ] );
+});
+
+test( 'the whitelist falls back to AUTOTAGS.WHITELIST, which is left alone by the changes', function() {
+	var whitelist = AUTOTAGS.WHITELIST;
+	AUTOTAGS.WHITELIST = [ 'java' ];
+	
+	try {
+		var tagger = new AUTOTAGS.createTagger();
+		assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'java', 'engine' ] );
+		
+		tagger.addToWhiteList( 'company' );
+		assert.deepStrictEqual( tagger.getWhiteList(), [ 'java', 'company' ] );
+		assert.deepStrictEqual( AUTOTAGS.WHITELIST, [ 'java' ] );
+	} finally {
+		AUTOTAGS.WHITELIST = whitelist;
+	}
+});
+
+test( 'stopwords are added to and removed from the blacklist of the language', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'BLACKLIST' : { 'engine' : true, 'the' : false } });
+	
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'the' ] );
+	assert.strictEqual( tagger.getBlackList()['engine'], true );
+	assert.strictEqual( tagger.getBlackList()['the'], undefined );
+	assert.strictEqual( tagger.getBlackList()['said'], true );
+	
+	tagger.removeFromBlackList( 'Engine' );
+	tagger.addToBlackList( 'the' );
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'engine' ] );
+	assert.strictEqual( AUTOTAGS.BLACKLIST['engine'], undefined );
+});
+
+test( 'each tagger has its own tag constants', function() {
+	var tagger = new AUTOTAGS.createTagger({ 'TAG_CONSTANTS' : [ 'news' ] });
+	
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'engine', 'news' ] );
+	
+	tagger.addTagConstants( 'tech' );
+	tagger.removeTagConstants( [ 'news' ] );
+	assert.deepStrictEqual( getValues( tagger.analyzeText( TEXT, 10 ) ), [ 'engine', 'tech' ] );
+	assert.deepStrictEqual( getValues( new AUTOTAGS.createTagger().analyzeText( TEXT, 10 ) ), [ 'engine' ] );
+});